@@ -0,0 +1,180 @@
+/**
+ * Batch Processing
+ *
+ * Optimizes many MIDI files at once. Finds the files behind a directory or
+ * glob, runs them through a pool of worker threads and reports on each file.
+ * A file that fails is recorded and the rest carry on.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorkerPool } = require('./worker-pool');
+
+const MIDI_FILE = /\.midi?$/i;
+const GLOB_CHARS = /[*?[]/;
+
+/**
+ * Check whether a command line input names several files
+ * @param {string} input - File, directory or glob
+ * @returns {boolean} - True for a directory or a glob
+ */
+function isBatchInput(input) {
+  return GLOB_CHARS.test(input) ||
+    (fs.existsSync(input) && fs.statSync(input).isDirectory());
+}
+
+/**
+ * Find the MIDI files for a directory (searched recursively) or a glob
+ * such as `songs/**\/*.mid`
+ * @param {string} input - Directory or glob
+ * @returns {Object} - { base, files } where base is the directory the
+ *   output tree mirrors and files are paths in the input's form
+ */
+function findMidiFiles(input) {
+  if (!GLOB_CHARS.test(input)) {
+    return { base: input, files: walk(input).filter(file => MIDI_FILE.test(file)).sort() };
+  }
+
+  // Search from the last directory before the first wildcard
+  const normalized = input.split(path.sep).join('/');
+  const segments = normalized.split('/');
+  const firstGlob = segments.findIndex(segment => GLOB_CHARS.test(segment));
+  const base = segments.slice(0, firstGlob).join('/') || '.';
+  const pattern = globToRegExp(normalized);
+
+  const files = fs.existsSync(base)
+    ? walk(base).filter(file => pattern.test(file.split(path.sep).join('/')))
+    : [];
+  return { base, files: files.sort() };
+}
+
+/**
+ * Convert a glob to a regular expression: `**` matches across directories,
+ * `*` and `?` within one, `[...]` a character class
+ * @param {string} glob - Glob with / separators
+ * @returns {RegExp} - Expression matching whole paths
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += glob.slice(i, end + 1);
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  // A leading ./ isn't part of the walked paths
+  return new RegExp(`^${source.replace(/^\\\.\//, '')}$`);
+}
+
+function walk(dir) {
+  const files = [];
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const entryPath = dir === '.' ? entry.name : path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...walk(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  });
+  return files;
+}
+
+/**
+ * Optimize a list of files on worker threads
+ * @param {Array} inputs - Array of { name, path } or { name, data }; files
+ *   given by path are read just before they are optimized
+ * @param {Object} options - Batch settings
+ * @param {Object} [options.optimizerOptions] - Options for optimizeMidi
+ *   (without a logger, which can't be passed to a worker)
+ * @param {number} [options.concurrency] - Files optimized at once
+ *   (default: number of CPUs)
+ * @param {boolean} [options.musicXml] - Also create MusicXML for each file
+ * @param {Function} [options.onResult] - Called with (input, result) for
+ *   each successful file, where result holds output, musicXml, report and
+ *   fingeringSidecar; results aren't kept otherwise
+ * @returns {Promise<Array>} - Array of { name, success, error, stats } in
+ *   input order
+ */
+async function optimizeBatch(inputs, options = {}) {
+  const concurrency = Math.max(1, Math.min(
+    options.concurrency || os.cpus().length,
+    inputs.length
+  ));
+  const pool = createWorkerPool(concurrency);
+
+  const optimizeFile = async input => {
+    try {
+      const data = input.data || await fs.promises.readFile(input.path);
+      const result = await pool.run({
+        input: data,
+        options: options.optimizerOptions || {},
+        musicXml: options.musicXml ? { title: path.basename(input.name).replace(MIDI_FILE, '') } : null
+      });
+      if (options.onResult) {
+        await options.onResult(input, result);
+      }
+      return { name: input.name, success: true, error: null, stats: summarizeReport(result.report) };
+    } catch (error) {
+      return { name: input.name, success: false, error: error.message, stats: null };
+    }
+  };
+
+  // One loop per worker takes the next file once its last one is done, so
+  // no more files are read into memory than there are workers
+  const results = new Array(inputs.length);
+  let nextIndex = 0;
+  const takeFiles = async () => {
+    while (nextIndex < inputs.length) {
+      const index = nextIndex++;
+      results[index] = await optimizeFile(inputs[index]);
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: concurrency }, takeFiles));
+    return results;
+  } finally {
+    await pool.close();
+  }
+}
+
+/**
+ * The parts of an optimization report worth listing per file
+ * @param {Object} report - Report from optimizeMidi
+ * @returns {Object} - Compact statistics
+ */
+function summarizeReport(report) {
+  return {
+    originalTracks: report.originalTracks,
+    rightHandNotes: report.rightHandNotes,
+    leftHandNotes: report.leftHandNotes,
+    duration: report.duration,
+    handSpanAdjustments: report.handSpan.adjustments.length,
+    difficulty: report.playability.difficulty,
+    playable: report.playability.playable,
+    problemMeasures: report.playability.measures.map(entry => entry.measure)
+  };
+}
+
+module.exports = {
+  isBatchInput,
+  findMidiFiles,
+  optimizeBatch
+};
@@ -0,0 +1,252 @@
+/**
+ * Chords
+ *
+ * Names the chords of a piece beat by beat from its harmony tracks, and
+ * turns them back into a left-hand part for lead-sheet arrangements: the
+ * melody in the right hand over the chords played in a simple pattern.
+ * Chords are matched against templates of triads, seventh chords and
+ * suspensions; the bass tracks decide the root and inversion where they
+ * play.
+ */
+
+// Chord qualities by the intervals above the root; the first three are
+// always root, third (or suspension) and fifth
+const CHORD_TYPES = [
+  { quality: 'major', suffix: '', intervals: [0, 4, 7] },
+  { quality: 'minor', suffix: 'm', intervals: [0, 3, 7] },
+  { quality: 'diminished', suffix: 'dim', intervals: [0, 3, 6] },
+  { quality: 'augmented', suffix: 'aug', intervals: [0, 4, 8] },
+  { quality: 'suspended', suffix: 'sus4', intervals: [0, 5, 7] },
+  { quality: 'dominant seventh', suffix: '7', intervals: [0, 4, 7, 10] },
+  { quality: 'major seventh', suffix: 'maj7', intervals: [0, 4, 7, 11] },
+  { quality: 'minor seventh', suffix: 'm7', intervals: [0, 3, 7, 10] }
+];
+
+const NOTE_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Chord tones weighing less than this share of a beat count as missing
+const MISSING_TONE = 0.05;
+// Beats sounding less than this share of their length have no chord of
+// their own and continue the previous one
+const MIN_COVERAGE = 0.1;
+
+// Left-hand patterns: which chord tone to play on each step, as indexes
+// into the voicing, and how many steps there are to a beat. Block chords
+// are struck once per measure and at every chord change.
+const PATTERNS = {
+  block: null,
+  'root-fifth': { stepsPerBeat: 1, tones: [[0], [2]] },
+  alberti: { stepsPerBeat: 2, tones: [[0], [2], [1], [2]] },
+  broken: { stepsPerBeat: 2, tones: [[0], [1], [2], [3]] }
+};
+
+// Where the root of the left-hand voicing goes (E2-Eb3)
+const ROOT_RANGE = [40, 51];
+
+/**
+ * Name the chords of a piece, one per beat, merging repeated chords. The
+ * harmony tracks supply the chord tones; when there are none, the notes of
+ * the other non-bass tracks outside the melody do.
+ * @param {Array} analyzedTracks - Tracks from analyzeMidiTracks
+ * @param {Object} header - MIDI header, for the beat grid
+ * @param {number} duration - Length of the piece in seconds
+ * @returns {Array} - Array of { time, duration, root, bass, quality, symbol,
+ *   velocity, intervals } chords in time order; root and bass are pitch
+ *   classes and intervals are the chord tones in semitones above the root
+ */
+function recognizeChords(analyzedTracks, header, duration) {
+  let harmony = analyzedTracks
+    .filter(track => track.trackRole === 'harmony')
+    .flatMap(track => track.notes);
+  if (harmony.length === 0) {
+    harmony = analyzedTracks
+      .filter(track => track.trackRole !== 'bass' && track.trackRole !== 'ignore')
+      .flatMap(track => track.notes.filter(note => !note.melody));
+  }
+  const bass = analyzedTracks
+    .filter(track => track.trackRole === 'bass')
+    .flatMap(track => track.notes);
+  if (harmony.length === 0) return [];
+
+  // Sweep the beats in time order, keeping only the notes sounding in each
+  const harmonyWindow = createWindow(harmony);
+  const bassWindow = createWindow(bass);
+  const endTicks = Math.ceil(header.secondsToTicks(duration));
+  const chords = [];
+  for (let ticks = 0; ticks < endTicks; ticks += header.ppq) {
+    const start = header.ticksToSeconds(ticks);
+    const end = header.ticksToSeconds(ticks + header.ppq);
+    const chord = matchChord(harmonyWindow(start, end), bassWindow(start, end), start, end);
+    const previous = chords[chords.length - 1];
+
+    if (!chord) {
+      if (previous) previous.end = end;
+    } else if (previous && previous.symbol === chord.symbol) {
+      previous.end = end;
+    } else {
+      chords.push({ ...chord, start, end });
+    }
+  }
+
+  // A one-beat chord between two beats of the same chord is passing harmony
+  for (let i = chords.length - 2; i >= 1; i--) {
+    const [before, chord, after] = [chords[i - 1], chords[i], chords[i + 1]];
+    const beat = header.ticksToSeconds(header.secondsToTicks(chord.start) + header.ppq) - chord.start;
+    if (before.symbol === after.symbol && chord.end - chord.start <= beat + 1e-6) {
+      before.end = after.end;
+      chords.splice(i, 2);
+    }
+  }
+
+  return chords.map(({ start, end, ...chord }) => ({
+    time: start,
+    duration: Math.min(end, duration) - start,
+    ...chord
+  }));
+}
+
+/**
+ * Follow a set of notes through time
+ * @param {Array} notes - Notes with time and duration
+ * @returns {Function} - Called with (start, end) for consecutive,
+ *   non-overlapping spans, returns the notes sounding in each
+ */
+function createWindow(notes) {
+  const sorted = [...notes].sort((a, b) => a.time - b.time);
+  let next = 0;
+  let sounding = [];
+  return (start, end) => {
+    while (next < sorted.length && sorted[next].time < end) {
+      sounding.push(sorted[next++]);
+    }
+    sounding = sounding.filter(note => note.time + note.duration > start);
+    return sounding;
+  };
+}
+
+/**
+ * Find the chord sounding between two times
+ * @returns {Object|null} - { root, bass, quality, symbol, velocity, intervals },
+ *   or null when too little is sounding
+ */
+function matchChord(harmony, bass, start, end) {
+  const weights = new Array(12).fill(0);
+  let total = 0;
+  let velocity = 0;
+  harmony.forEach(note => {
+    const overlap = Math.min(end, note.time + note.duration) - Math.max(start, note.time);
+    if (overlap <= 0) return;
+    weights[note.midi % 12] += overlap;
+    total += overlap;
+    velocity += note.velocity * overlap;
+  });
+  if (total < (end - start) * MIN_COVERAGE) return null;
+
+  const lowest = notes => notes
+    .filter(note => note.time < end && note.time + note.duration > start)
+    .reduce((low, note) => !low || note.midi < low.midi ? note : low, null);
+  const bassNote = lowest(bass) || lowest(harmony);
+
+  const shares = weights.map(weight => weight / total);
+  let best = null;
+  for (let root = 0; root < 12; root++) {
+    CHORD_TYPES.forEach(type => {
+      const tones = type.intervals.map(interval => (root + interval) % 12);
+      const inside = tones.reduce((sum, pc) => sum + shares[pc], 0);
+      const missing = tones.filter(pc => shares[pc] < MISSING_TONE).length;
+      let score = inside - (1 - inside) - 0.1 * missing;
+      if (bassNote && bassNote.midi % 12 === root) score += 0.1;
+      if (!best || score > best.score + 1e-9) {
+        best = { score, root, type, tones };
+      }
+    });
+  }
+
+  // A third or seventh in the bass makes a slash chord; a fifth there is
+  // usually an alternating bass line and is left out of the symbol
+  const bassClass = bassNote ? bassNote.midi % 12 : best.root;
+  const inversion = bassClass !== best.root && bassClass !== best.tones[2] && best.tones.includes(bassClass);
+  const slash = inversion ? `/${NOTE_NAMES[bassClass]}` : '';
+  return {
+    root: best.root,
+    bass: slash ? bassClass : best.root,
+    quality: best.type.quality,
+    symbol: NOTE_NAMES[best.root] + best.type.suffix + slash,
+    velocity: Math.round(velocity / total * 127) / 127,
+    intervals: best.type.intervals
+  };
+}
+
+/**
+ * Play chords in a left-hand pattern. The root goes in the low register
+ * (E2-Eb3) with the other chord tones above it; the pattern starts over at
+ * every chord change and every measure.
+ * @param {Array} chords - Chords from recognizeChords
+ * @param {string} pattern - 'block', 'root-fifth', 'alberti' or 'broken'
+ * @param {Object} header - MIDI header, for the beat grid
+ * @param {Array} measureStarts - Start time of every measure in seconds
+ * @returns {Array} - Left-hand notes; roots are marked as bass notes
+ */
+function createAccompaniment(chords, pattern, header, measureStarts) {
+  if (!(pattern in PATTERNS)) {
+    throw new Error(`Unknown accompaniment pattern "${pattern}". Expected one of: ${Object.keys(PATTERNS).join(', ')}`);
+  }
+  const measureTicks = measureStarts.map(time => Math.round(header.secondsToTicks(time)));
+  const notes = [];
+
+  chords.forEach(chord => {
+    const root = ROOT_RANGE[0] + ((chord.root - ROOT_RANGE[0]) % 12 + 12) % 12;
+    // Broken chords without a seventh climb to the octave
+    const voicing = chord.intervals.map(interval => root + interval);
+    if (voicing.length < 4) voicing.push(root + 12);
+
+    const startTicks = Math.round(header.secondsToTicks(chord.time));
+    const endTicks = Math.round(header.secondsToTicks(chord.time + chord.duration));
+    const restarts = [startTicks, ...measureTicks.filter(ticks => ticks > startTicks && ticks < endTicks)];
+    const add = (midi, from, to, isRoot) => {
+      const time = header.ticksToSeconds(from);
+      const note = { midi, time, duration: header.ticksToSeconds(to) - time, velocity: chord.velocity, trackRole: 'harmony' };
+      if (isRoot) note.bass = true;
+      notes.push(note);
+    };
+
+    restarts.forEach((from, index) => {
+      const to = index + 1 < restarts.length ? restarts[index + 1] : endTicks;
+      const steps = PATTERNS[pattern];
+      if (!steps) {
+        voicing.slice(0, chord.intervals.length).forEach((midi, tone) => add(midi, from, to, tone === 0));
+        return;
+      }
+      const stepTicks = header.ppq / steps.stepsPerBeat;
+      for (let ticks = from, step = 0; ticks < to; ticks += stepTicks, step++) {
+        steps.tones[step % steps.tones.length].forEach(tone => {
+          add(voicing[tone], ticks, Math.min(to, ticks + stepTicks), tone === 0);
+        });
+      }
+    });
+  });
+
+  return notes;
+}
+
+/**
+ * Build marker meta events naming each chord where it starts
+ * @param {Array} chords - Chords from recognizeChords
+ * @param {Object} header - Header of the output Midi, to convert times
+ * @returns {Array} - Meta events for header.meta
+ */
+function createChordMarkers(chords, header) {
+  return chords.map(chord => ({
+    type: 'marker',
+    text: chord.symbol,
+    ticks: Math.round(header.secondsToTicks(chord.time))
+  }));
+}
+
+module.exports = {
+  CHORD_TYPES,
+  PATTERNS,
+  recognizeChords,
+  createAccompaniment,
+  createChordMarkers
+};
@@ -4,65 +4,329 @@
  * 
  * This command-line tool optimizes MIDI files for piano playing.
  * Usage: node piano-optimizer.js input.mid output.mid [options]
+ *        node piano-optimizer.js songs/ output-dir/ [options]
+ *        node piano-optimizer.js analyze input.mid [more.mid ...] [--table]
  */
 
 const fs = require('fs');
 const path = require('path');
-const { optimizeMidiForPiano } = require('./piano-midi-optimizer');
+const { optimizeMidi, analyzeMidi } = require('./piano-midi-optimizer');
+const { createMusicXml } = require('./musicxml-export');
+const { isBatchInput, findMidiFiles, optimizeBatch } = require('./batch');
+const { DEFAULT_OPTIONS, PRESETS, parseOptionValue, resolveOptions } = require('./config-schema');
 
 // Process command line arguments
 const args = process.argv.slice(2);
 
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+function noteName(midi) {
+  return `${NOTE_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
+}
+
+/**
+ * Print the analysis of each file as JSON, or as a table with --table.
+ * Files that can't be read are reported and make the exit code 1.
+ * @param {Array} analyzeArgs - File names and flags after `analyze`
+ */
+function analyzeFiles(analyzeArgs) {
+  const files = analyzeArgs.filter(arg => !arg.startsWith('--'));
+  const table = analyzeArgs.includes('--table');
+  if (files.length === 0) {
+    console.log('Usage: node piano-optimizer.js analyze input.mid [more.mid ...] [--table]');
+    process.exit(1);
+  }
+
+  const reports = files.map(file => {
+    try {
+      return { file, ...analyzeMidi(fs.readFileSync(file)) };
+    } catch (error) {
+      process.exitCode = 1;
+      return { file, error: error.message };
+    }
+  });
+
+  if (!table) {
+    console.log(JSON.stringify(reports.length === 1 ? reports[0] : reports, null, 2));
+    return;
+  }
+
+  reports.forEach(report => {
+    if (report.error) {
+      console.log(`${report.file}: error: ${report.error}`);
+      console.log('');
+      return;
+    }
+
+    const tempos = report.tempos.map(tempo => Math.round(tempo.bpm)).join(', ') || '120';
+    const meters = report.timeSignatures.map(signature => signature.timeSignature.join('/')).join(', ') || '4/4';
+    const keys = report.keySignatures
+      .map(signature => `${signature.key || '?'} ${signature.scale}`)
+      .join(', ') || 'none';
+    console.log(`${report.file}: ${report.duration.toFixed(2)} s, ${meters}, ${tempos} bpm, ` +
+      `key ${keys}, max polyphony ${report.maxPolyphony}`);
+
+    const rows = [['#', 'Name', 'Instrument', 'Role', 'Notes', 'Avg pitch', 'Range', 'Polyphony']];
+    report.tracks.forEach(track => {
+      rows.push([
+        String(track.index),
+        track.name,
+        track.instrument,
+        track.skipped ? `(${track.skipped})` : track.role,
+        String(track.noteCount),
+        track.avgPitch === null ? '-' : track.avgPitch.toFixed(1),
+        track.range ? `${noteName(track.range.low)}-${noteName(track.range.high)}` : '-',
+        String(track.maxPolyphony)
+      ]);
+    });
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    rows.forEach(row => {
+      console.log('  ' + row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+    });
+    console.log('');
+  });
+}
+
+// The analyze subcommand reports on files instead of optimizing them
+if (args[0] === 'analyze') {
+  analyzeFiles(args.slice(1));
+  process.exit();
+}
+
 if (args.length < 2) {
   console.log('Usage: node piano-optimizer.js input.mid output.mid [options]');
+  console.log('       node piano-optimizer.js analyze input.mid [more.mid ...] [--table]');
+  console.log('       node piano-optimizer.js <directory or glob> output-dir/ [options]');
+  console.log('Writes sheet music instead of MIDI when the output file ends in .musicxml');
+  console.log('A directory or a quoted glob such as "songs/**/*.mid" optimizes every file into');
+  console.log('output-dir, mirroring the input folders; failed files are listed at the end');
   console.log('Options:');
+  console.log('  --preset=name         Start from a preset, overridden by the other options:');
+  Object.entries(PRESETS).forEach(([name, preset]) => {
+    console.log(`                          ${name}: ${preset.description}`);
+  });
+  console.log('  --config=file.json    Read options from a JSON file with option names as keys;');
+  console.log('                        it may name a preset, and flags override it');
   console.log('  --split-point=60      MIDI note number for hand split point (default: 60/C4)');
-  console.log('  --max-right=4         Maximum simultaneous notes for right hand (default: 4)');
-  console.log('  --max-left=3          Maximum simultaneous notes for left hand (default: 3)');
+  console.log(`  --max-right=N         Maximum simultaneous notes for right hand (default: ${DEFAULT_OPTIONS.maxRightHandNotes})`);
+  console.log(`  --max-left=N          Maximum simultaneous notes for left hand (default: ${DEFAULT_OPTIONS.maxLeftHandNotes})`);
+  console.log('  --max-span=14         Widest stretch in semitones within one hand (default: 14, a 9th)');
   console.log('  --static-split        Use static split point instead of dynamic (default: dynamic)');
+  console.log('  --min-split=48        Lowest note the dynamic split point may move to (default: 48/C3)');
+  console.log('  --max-split=72        Highest note the dynamic split point may move to (default: 72/C5)');
   console.log('  --no-preserve-melody  Don\'t prioritize melody in right hand (default: preserve)');
   console.log('  --no-preserve-bass    Don\'t prioritize bass in left hand (default: preserve)');
+  console.log('  --track=3:melody      Override a track: a role (melody, bass, harmony, ignore), exclude,');
+  console.log('                        a hand (right, left) or octaves (+1, -2); combine with commas,');
+  console.log('                        e.g. --track=2:bass,left,-1. Repeat for more tracks');
+  console.log('  --no-controls         Don\'t carry pedal, volume, expression and pitch bends over (default: carry)');
+  console.log('  --synth-pedal         Add pedaling at harmony changes when the source has none');
+  console.log('  --no-consolidate      Don\'t merge overlapping copies of a note from different tracks');
+  console.log('  --quantize=none       Snap notes to the beat grid: grid, swing or none');
+  console.log('  --grid=4              Grid steps per quarter note for quantizing (default: 4, sixteenths)');
+  console.log('  --swing=0.66          Where swung off-beats fall, 0.5 (straight) to 0.75 (default: 0.66)');
+  console.log('  --no-merge-unisons    Don\'t merge the same key struck together by several tracks');
+  console.log('  --no-trim-overlaps    Don\'t cut notes off where the same key is struck again');
+  console.log('  --min-duration=0      Drop notes shorter than this many seconds (default: 0, keep all)');
+  console.log('  --difficulty=original Simplify the arrangement: beginner, intermediate, advanced or original');
+  console.log('  --accompaniment=source Left hand from the source notes (source) or from the recognized chords');
+  console.log('                        as block, root-fifth, alberti or broken chords, under the melody');
+  console.log('  --no-chord-symbols    Don\'t write the recognized chords into the MIDI file as markers');
+  console.log('  --balance-dynamics    Even out the loudness of the tracks and lift the melody (default: source velocities)');
+  console.log('  --melody-boost=16     Velocity steps the melody plays above the inner voices (default: 16)');
+  console.log('  --bass-boost=6        Velocity steps the bass plays above the inner voices, -32 to 32 (default: 6)');
+  console.log('  --compress=0          Even out notes within each measure, 0 (off) to 1 (default: 0)');
+  console.log('  --keyboard=88         Keys on your keyboard: 88, 76, 61 or 49, or a range such as 36-96;');
+  console.log('                        notes outside it are folded in by octaves (default: 88)');
+  console.log('  --transpose=0         Move the piece: semitones (-12 to 12), easiest (fewest sharps and flats)');
+  console.log('                        or a key whose signature to use, such as G, Bb or F#m (default: 0)');
+  console.log('  --fingering=none      Write suggested fingerings: lyrics (in the MIDI file), sidecar (JSON file) or none');
+  console.log('  --verbose             Print the optimizer\'s progress and debugging details');
+  console.log('  --quiet               Only print errors');
+  console.log('  --format=midi         Batch output format: midi or musicxml (default: midi)');
+  console.log('  --concurrency=4       Files optimized at once in batch mode (default: number of CPUs)');
+  console.log('  --fail-if-unplayable  Exit with code 1 if an arrangement still has passages two hands can\'t play');
+  console.log('  --min-bass=28         Lowest note the preserved bass line is shifted up to (default: 28/E1)');
+  console.log('  --max-bass=55         Highest note the preserved bass line is shifted down to (default: 55/G3)');
   process.exit(1);
 }
 
 const inputFile = args[0];
 const outputFile = args[1];
+const batchMode = isBatchInput(inputFile);
+let outputFormat = outputFile.toLowerCase().endsWith('.musicxml') ? 'musicxml' : 'midi';
+let concurrency = null;
+let failIfUnplayable = false;
 
-// Parse options
-const options = {
-  splitPoint: 60, // Middle C
-  maxRightHandNotes: 4,
-  maxLeftHandNotes: 3,
-  dynamicSplitPoint: true,
-  preserveMelody: true,
-  preserveBass: true
+// Flags that set an option to a value, checked against the config schema
+const VALUE_FLAGS = {
+  '--split-point': 'splitPoint',
+  '--max-right': 'maxRightHandNotes',
+  '--max-left': 'maxLeftHandNotes',
+  '--max-span': 'maxHandSpan',
+  '--min-split': 'minSplitPoint',
+  '--max-split': 'maxSplitPoint',
+  '--quantize': 'quantize',
+  '--grid': 'quantizeDivision',
+  '--swing': 'swingRatio',
+  '--min-duration': 'minNoteDuration',
+  '--difficulty': 'difficulty',
+  '--fingering': 'fingeringOutput',
+  '--min-bass': 'minBassNote',
+  '--max-bass': 'maxBassNote',
+  '--transpose': 'transpose',
+  '--keyboard': 'keyboardRange',
+  '--accompaniment': 'accompaniment',
+  '--melody-boost': 'melodyBoost',
+  '--bass-boost': 'bassBoost',
+  '--compress': 'dynamicsCompression'
 };
 
+// Options given on the command line; they override the config file and
+// preset, which override the defaults
+const flagOptions = {};
+const trackOverrides = {};
+let presetName;
+let configFile;
+
+/**
+ * Add a --track=<index>:<setting>[,<setting>...] argument to the track
+ * overrides. Roles are checked by the optimizer.
+ * @param {string} spec - The part after --track=
+ */
+function addTrackOverride(spec) {
+  const [index, settings = ''] = spec.split(':');
+  const override = trackOverrides[index] || {};
+  settings.split(',').filter(Boolean).forEach(setting => {
+    if (setting === 'exclude') {
+      override.exclude = true;
+    } else if (setting === 'right' || setting === 'left') {
+      override.hand = setting;
+    } else if (/^[+-]\d+$/.test(setting)) {
+      override.transpose = parseInt(setting, 10);
+    } else {
+      override.role = setting;
+    }
+  });
+  trackOverrides[index] = override;
+}
+
 // Process optional arguments
-args.slice(2).forEach(arg => {
-  if (arg.startsWith('--split-point=')) {
-    options.splitPoint = parseInt(arg.split('=')[1], 10);
-  } else if (arg.startsWith('--max-right=')) {
-    options.maxRightHandNotes = parseInt(arg.split('=')[1], 10);
-  } else if (arg.startsWith('--max-left=')) {
-    options.maxLeftHandNotes = parseInt(arg.split('=')[1], 10);
-  } else if (arg === '--static-split') {
-    options.dynamicSplitPoint = false;
-  } else if (arg === '--no-preserve-melody') {
-    options.preserveMelody = false;
-  } else if (arg === '--no-preserve-bass') {
-    options.preserveBass = false;
+const optionArgs = args.slice(2);
+for (let i = 0; i < optionArgs.length; i++) {
+  const arg = optionArgs[i];
+  const [flag, value] = arg.split(/=(.*)/);
+  try {
+    if (VALUE_FLAGS[flag] && value !== undefined) {
+      flagOptions[VALUE_FLAGS[flag]] = parseOptionValue(VALUE_FLAGS[flag], value, flag);
+    } else if (flag === '--preset' || flag === '--config') {
+      // Both also take their value as the next argument
+      const setting = value !== undefined ? value : optionArgs[++i];
+      if (setting === undefined) {
+        throw new Error(`Missing value for ${flag}`);
+      }
+      if (flag === '--preset') presetName = setting;
+      else configFile = setting;
+    } else if (arg === '--static-split') {
+      flagOptions.dynamicSplitPoint = false;
+    } else if (arg === '--no-preserve-melody') {
+      flagOptions.preserveMelody = false;
+    } else if (arg === '--no-preserve-bass') {
+      flagOptions.preserveBass = false;
+    } else if (arg.startsWith('--track=')) {
+      addTrackOverride(arg.slice('--track='.length));
+    } else if (arg === '--no-controls') {
+      flagOptions.preserveControlChanges = false;
+    } else if (arg === '--synth-pedal') {
+      flagOptions.synthesizePedal = true;
+    } else if (arg === '--no-consolidate') {
+      flagOptions.consolidateTracks = false;
+    } else if (arg === '--no-chord-symbols') {
+      flagOptions.chordSymbols = false;
+    } else if (arg === '--balance-dynamics') {
+      flagOptions.balanceDynamics = true;
+    } else if (arg === '--no-merge-unisons') {
+      flagOptions.mergeUnisons = false;
+    } else if (arg === '--no-trim-overlaps') {
+      flagOptions.trimOverlaps = false;
+    } else if (arg === '--verbose') {
+      flagOptions.logLevel = 'debug';
+    } else if (arg === '--quiet') {
+      flagOptions.logLevel = 'error';
+    } else if (arg === '--fail-if-unplayable') {
+      failIfUnplayable = true;
+    } else if (flag === '--format' && value !== undefined) {
+      outputFormat = value;
+    } else if (flag === '--concurrency' && value !== undefined) {
+      if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+        throw new Error(`Invalid --concurrency: must be a whole number from 1 (got "${value}")`);
+      }
+      concurrency = parseInt(value, 10);
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
   }
-});
+}
+
+/**
+ * Read a JSON config file of options, which may name a preset
+ * @param {string} file - Path to the file
+ * @returns {Object} - Options from the file
+ */
+function readConfigFile(file) {
+  let text;
+  let options;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read config file "${file}": ${error.message}`);
+  }
+  try {
+    options = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Config file "${file}" is not valid JSON: ${error.message}`);
+  }
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`Config file "${file}" must hold an object with option names as keys`);
+  }
+  return options;
+}
+
+// Resolve the final options: defaults, then the preset, the config file and
+// the flags
+let options;
+try {
+  const fileOptions = configFile ? readConfigFile(configFile) : {};
+  if (presetName !== undefined) {
+    fileOptions.preset = presetName;
+  }
+  options = resolveOptions({
+    logLevel: 'warn',
+    ...fileOptions,
+    ...flagOptions,
+    trackOverrides: { ...fileOptions.trackOverrides, ...trackOverrides }
+  });
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
 
 // Validate input file
-if (!fs.existsSync(inputFile)) {
+if (!batchMode && !fs.existsSync(inputFile)) {
   console.error(`Error: Input file "${inputFile}" not found`);
   process.exit(1);
 }
 
-// Ensure the output directory exists
-const outputDir = path.dirname(outputFile);
+if (outputFormat !== 'midi' && outputFormat !== 'musicxml') {
+  console.error(`Error: Unknown format "${outputFormat}". Expected one of: midi, musicxml`);
+  process.exit(1);
+}
+
+// Ensure the output directory exists; in batch mode the output is a directory
+const outputDir = batchMode ? outputFile : path.dirname(outputFile);
 if (!fs.existsSync(outputDir)) {
   fs.mkdirSync(outputDir, { recursive: true });
 }
@@ -70,20 +334,131 @@ if (!fs.existsSync(outputDir)) {
 // Display configuration
 console.log('Piano MIDI Optimizer');
 console.log('-------------------');
-console.log(`Input: ${inputFile}`);
-console.log(`Output: ${outputFile}`);
+console.log(`Input: ${inputFile}${batchMode ? ' (batch)' : ''}`);
+console.log(`Output: ${outputFile} (${outputFormat === 'musicxml' ? 'MusicXML' : 'MIDI'})`);
 console.log('Configuration:');
-console.log(`- Split point: ${options.splitPoint} (${dynamicSplitPoint ? 'dynamic' : 'static'})`);
+if (presetName || configFile) {
+  console.log(`- Settings from: ${[presetName && `preset ${presetName}`, configFile].filter(Boolean).join(', ')}`);
+}
+console.log(`- Split point: ${options.splitPoint} (${options.dynamicSplitPoint ? `dynamic, ${options.minSplitPoint}-${options.maxSplitPoint}` : 'static'})`);
 console.log(`- Max notes: ${options.maxRightHandNotes} (right hand), ${options.maxLeftHandNotes} (left hand)`);
+console.log(`- Max hand span: ${options.maxHandSpan} semitones`);
 console.log(`- Preserve melody: ${options.preserveMelody}`);
-console.log(`- Preserve bass: ${options.preserveBass}`);
+console.log(`- Preserve bass: ${options.preserveBass}${options.preserveBass ? ` (range ${options.minBassNote}-${options.maxBassNote})` : ''}`);
+Object.entries(options.trackOverrides).forEach(([index, override]) => {
+  const settings = [
+    override.exclude && 'excluded',
+    override.role,
+    override.hand && `${override.hand} hand`,
+    override.transpose && `${override.transpose > 0 ? '+' : ''}${override.transpose} octaves`
+  ].filter(Boolean);
+  console.log(`- Track ${index}: ${settings.join(', ')}`);
+});
+console.log(`- Control changes: ${options.preserveControlChanges ? 'preserved' : 'dropped'}${options.synthesizePedal ? ', synthesized pedal' : ''}`);
+console.log(`- Consolidate doubled notes: ${options.consolidateTracks}`);
+console.log(`- Cleanup: quantize ${options.quantize}${options.quantize === 'none' ? '' : ` (1/${options.quantizeDivision * 4} notes${options.quantize === 'swing' ? `, swing ${options.swingRatio}` : ''})`}, ` +
+  `merge unisons ${options.mergeUnisons}, trim overlaps ${options.trimOverlaps}, min duration ${options.minNoteDuration}s`);
+console.log(`- Difficulty: ${options.difficulty}`);
+console.log(`- Left hand: ${options.accompaniment === 'source' ? 'from the source' : `${options.accompaniment} chords`}` +
+  `${options.chordSymbols ? ', chord symbols as markers' : ''}`);
+console.log(`- Dynamics: ${options.balanceDynamics
+  ? `balanced, melody +${options.melodyBoost}, bass ${options.bassBoost >= 0 ? '+' : ''}${options.bassBoost}` +
+    `${options.dynamicsCompression > 0 ? `, compression ${options.dynamicsCompression}` : ''}`
+  : 'from the source'}`);
+console.log(`- Keyboard: ${typeof options.keyboardRange === 'object'
+  ? `${options.keyboardRange.low}-${options.keyboardRange.high}`
+  : `${options.keyboardRange} keys`}`);
+if (options.transpose !== 0) {
+  console.log(`- Transpose: ${options.transpose}${typeof options.transpose === 'number' ? ' semitones' : ''}`);
+}
+console.log(`- Fingering output: ${options.fingeringOutput}`);
 console.log('-------------------');
 
+/**
+ * Optimize every file behind a directory or glob on worker threads,
+ * mirroring the input folders in the output directory. A failed file
+ * doesn't stop the others; the summary lists them and sets exit code 1.
+ */
+async function runBatch() {
+  const { base, files } = findMidiFiles(inputFile);
+  if (files.length === 0) {
+    console.error(`Error: No MIDI files found for "${inputFile}"`);
+    process.exit(1);
+  }
+
+  const extension = outputFormat === 'musicxml' ? '.musicxml' : '.mid';
+  console.log(`Optimizing ${files.length} MIDI files...`);
+  const results = await optimizeBatch(
+    files.map(file => ({ name: path.relative(base, file), path: file })),
+    {
+      optimizerOptions: options,
+      concurrency,
+      musicXml: outputFormat === 'musicxml',
+      onResult: (input, result) => {
+        const target = path.join(outputFile, input.name.replace(/\.midi?$/i, '') + extension);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, outputFormat === 'musicxml' ? result.musicXml : Buffer.from(result.output));
+        if (result.fingeringSidecar) {
+          fs.writeFileSync(target.replace(/\.(mid|musicxml)$/, '') + '.fingering.json',
+            JSON.stringify(result.fingeringSidecar, null, 2));
+        }
+        const { playability } = result.report;
+        console.log(`  ${input.name} -> ${target} ` +
+          `(difficulty ${playability.difficulty}/10${playability.playable ? '' : ', not playable'})`);
+      }
+    }
+  );
+
+  const failed = results.filter(result => !result.success);
+  console.log('-------------------');
+  console.log(`Batch complete: ${files.length} files, ${files.length - failed.length} succeeded, ${failed.length} failed`);
+  failed.forEach(result => {
+    console.log(`  ${result.name}: ${result.error}`);
+  });
+  if (failed.length > 0) {
+    process.exitCode = 1;
+  }
+
+  if (failIfUnplayable) {
+    const unplayable = results.filter(result => result.success && !result.stats.playable);
+    if (unplayable.length > 0) {
+      console.log(`Not playable: ${unplayable.length} files`);
+      unplayable.forEach(result => {
+        console.log(`  ${result.name}: problems in measures ${listMeasures(result.stats.problemMeasures)}`);
+      });
+      process.exitCode = 1;
+    }
+  }
+}
+
+// Measure numbers for a summary line, shortened when there are many
+function listMeasures(measures) {
+  const shown = measures.slice(0, 10).join(', ');
+  return measures.length > 10 ? `${shown} and ${measures.length - 10} more` : shown;
+}
+
 // Run the optimizer
 async function run() {
   try {
     console.log('Optimizing MIDI file...');
-    const result = await optimizeMidiForPiano(inputFile, outputFile, options);
+    const { output, midi, arrangement, report: result, fingeringSidecar } =
+      await optimizeMidi(fs.readFileSync(inputFile), {
+        ...options,
+        logger: console
+      });
+    
+    if (outputFormat === 'musicxml') {
+      const title = path.basename(inputFile).replace(/\.midi?$/i, '');
+      fs.writeFileSync(outputFile, createMusicXml(midi.header, arrangement, { title }));
+    } else {
+      fs.writeFileSync(outputFile, Buffer.from(output));
+    }
+    
+    let sidecarFile = null;
+    if (fingeringSidecar) {
+      sidecarFile = outputFile.replace(/\.(midi?|musicxml)$/i, '') + '.fingering.json';
+      fs.writeFileSync(sidecarFile, JSON.stringify(fingeringSidecar, null, 2));
+    }
     
     console.log('-------------------');
     console.log('Optimization complete!');
@@ -91,11 +466,72 @@ async function run() {
     console.log(`Right hand notes: ${result.rightHandNotes}`);
     console.log(`Left hand notes: ${result.leftHandNotes}`);
     console.log(`Duration: ${result.duration.toFixed(2)} seconds`);
+    if (result.pedal) {
+      console.log(`Pedal events: ${result.pedal.events}${result.pedal.synthesized ? ' (synthesized)' : ''}`);
+    }
+    if (result.consolidation) {
+      console.log(`Notes merged across tracks: ${result.consolidation.merged}`);
+    }
+    console.log(`Cleanup: ${result.cleanup.quantized} quantized, ${result.cleanup.merged} unisons merged, ` +
+      `${result.cleanup.trimmed} overlaps trimmed, ${result.cleanup.dropped} short notes dropped`);
+    if (result.simplification.difficulty !== 'original') {
+      console.log(`Simplified for ${result.simplification.difficulty}: ` +
+        `${result.simplification.notesBefore} -> ${result.simplification.notesAfter} notes`);
+    }
+    if (result.key) {
+      console.log(`Key: ${result.key.from}${result.key.detected ? ' (detected)' : ''}` +
+        (result.key.transpose ? `, moved ${result.key.transpose} semitones to ${result.key.to}` : ''));
+    }
+    console.log(`Bass notes shifted into range: ${result.bassShifted}`);
+    if (result.chords.length > 0) {
+      const symbols = result.chords.slice(0, 8).map(chord => chord.symbol).join(' ');
+      console.log(`Chords: ${result.chords.length} (${symbols}${result.chords.length > 8 ? ' ...' : ''})`);
+    }
+    if (result.dynamics) {
+      const levels = ['melody', 'inner', 'bass']
+        .filter(role => result.dynamics.before[role] !== null)
+        .map(role => `${role === 'inner' ? 'inner voices' : role} ${result.dynamics.before[role]} -> ${result.dynamics.after[role]}`);
+      console.log(`Average velocity: ${levels.join(', ')}`);
+    }
+    const keyboard = result.keyboardRange;
+    if (keyboard.folded + keyboard.merged + keyboard.dropped > 0) {
+      console.log(`Folded onto the keyboard (${keyboard.low}-${keyboard.high}): ${keyboard.folded} notes, ` +
+        `${keyboard.merged} merged into notes already there, ${keyboard.dropped} dropped to keep lines intact`);
+    }
+    console.log(`Hand span adjustments: ${result.handSpan.adjustments.length} ` +
+      `(${result.handSpan.reassigned} reassigned, ${result.handSpan.displaced} displaced, ` +
+      `${result.handSpan.dropped} dropped, ${result.handSpan.truncated} truncated)`);
+    if (result.splitCurve) {
+      const splits = result.splitCurve.map(point => point.splitPoint);
+      console.log(`Split point range: ${Math.min(...splits)}-${Math.max(...splits)}`);
+    }
+    const { playability } = result;
+    console.log(`Difficulty: ${playability.difficulty}/10 (${playability.level})`);
+    const problems = Object.entries(playability.issues).filter(([, count]) => count > 0);
+    if (problems.length > 0) {
+      console.log(`Playability problems: ${problems.map(([type, count]) => `${count} ${type}`).join(', ')} ` +
+        `in measures ${listMeasures(playability.measures.map(entry => entry.measure))}`);
+    }
     console.log(`Output saved to: ${outputFile}`);
+    if (sidecarFile) {
+      console.log(`Fingering saved to: ${sidecarFile}`);
+    }
+    if (failIfUnplayable && !playability.playable) {
+      console.error('Error: The arrangement has passages two hands can\'t play');
+      process.exitCode = 1;
+    }
   } catch (error) {
     console.error('Error:', error.message);
     process.exit(1);
   }
 }
 
-run();
+if (batchMode) {
+  // Failures of single files are summarized; anything else ends the run
+  runBatch().catch(error => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
+} else {
+  run();
+}
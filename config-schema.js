@@ -0,0 +1,232 @@
+/**
+ * Configuration Schema
+ *
+ * The one description of every optimizer option: its type, allowed values
+ * and default. The library, the command line and the web server all resolve
+ * and validate their options here, so they share the same defaults and
+ * report bad values the same way. Named presets bundle settings for common
+ * uses and can be combined with individual options, which take precedence.
+ */
+
+const { LOG_LEVELS } = require('./logger');
+const { isKeyName } = require('./key-signatures');
+
+// Option name -> { type, default, min, max, values }. Types are integer,
+// number, boolean, enum, object, function, transposition (semitones from
+// min to max, 'easiest' or a key name) and keyboard (one of values, or
+// { low, high } from min to max at least an octave apart); options without
+// a default are left out of DEFAULT_OPTIONS.
+const OPTION_SCHEMA = {
+  maxRightHandNotes: { type: 'integer', min: 1, max: 12, default: 12 },  // Most notes the right hand plays at once
+  maxLeftHandNotes: { type: 'integer', min: 1, max: 10, default: 10 },   // Most notes the left hand plays at once
+  splitPoint: { type: 'integer', min: 0, max: 127, default: 60 },       // Middle C (C4) - initial split point between hands
+  dynamicSplitPoint: { type: 'boolean', default: true },                // Whether to adjust split point dynamically
+  minSplitPoint: { type: 'integer', min: 0, max: 127, default: 48 },    // Lowest split the dynamic split may move to (C3)
+  maxSplitPoint: { type: 'integer', min: 0, max: 127, default: 72 },    // Highest split the dynamic split may move to (C5)
+  splitWindowMeasures: { type: 'integer', min: 1, max: 64, default: 1 }, // Measures analyzed together for each split value
+  maxSplitStep: { type: 'integer', min: 1, max: 24, default: 3 },       // Largest change in semitones between windows
+  maxHandSpan: { type: 'integer', min: 6, max: 24, default: 14 },       // Widest stretch in semitones within one hand (a 9th)
+  keyboardRange: { type: 'keyboard', values: ['88', '76', '61', '49'], min: 0, max: 127, default: '88' }, // Keys on the player's keyboard, or { low, high }
+  transpose: { type: 'transposition', min: -12, max: 12, default: 0 },  // Semitones, 'easiest' or a key to move the piece to
+  minBassNote: { type: 'integer', min: 0, max: 127, default: 28 },      // Lowest comfortable bass note (E1)
+  maxBassNote: { type: 'integer', min: 0, max: 127, default: 55 },      // Highest comfortable bass note (G3)
+  preserveControlChanges: { type: 'boolean', default: true },           // Carry pedal, volume, expression and pitch bends over
+  synthesizePedal: { type: 'boolean', default: false },                 // Add pedaling at harmony changes when the source has none
+  preserveMelody: { type: 'boolean', default: true },                   // Whether to prioritize melody in right hand
+  preserveBass: { type: 'boolean', default: true },                     // Whether to prioritize bass in left hand
+  trackOverrides: { type: 'object', default: {} },                      // Per-track settings by track index: { exclude, role, hand, transpose }
+  consolidateTracks: { type: 'boolean', default: true },                // Merge overlapping copies of a note from different tracks
+  quantize: { type: 'enum', values: ['none', 'grid', 'swing'], default: 'none' }, // Snap notes to the beat grid
+  quantizeDivision: { type: 'integer', min: 1, max: 16, default: 4 },   // Grid steps per quarter note (4 = sixteenths)
+  swingRatio: { type: 'number', min: 0.5, max: 0.75, default: 0.66 },   // Where swung off-beats fall between two grid pairs (0.5 = straight)
+  mergeUnisons: { type: 'boolean', default: true },                     // Merge the same key struck together by several tracks
+  trimOverlaps: { type: 'boolean', default: true },                     // Cut a note off where the same key is struck again
+  minNoteDuration: { type: 'number', min: 0, max: 10, default: 0 },     // Drop notes shorter than this many seconds (0 keeps all)
+  difficulty: { type: 'enum', values: ['beginner', 'intermediate', 'advanced', 'original'], default: 'original' }, // How far to simplify
+  chordSymbols: { type: 'boolean', default: true },                     // Write the recognized chords into the MIDI as markers
+  accompaniment: { type: 'enum', values: ['source', 'block', 'root-fifth', 'alberti', 'broken'], default: 'source' }, // Left hand from the source notes or the chords in a pattern
+  balanceDynamics: { type: 'boolean', default: false },                // Bring every track to one loudness and lift the melody
+  melodyBoost: { type: 'integer', min: 0, max: 64, default: 16 },       // Velocity steps the melody plays above the inner voices
+  bassBoost: { type: 'integer', min: -32, max: 32, default: 6 },        // Velocity steps the bass plays above the inner voices
+  dynamicsCompression: { type: 'number', min: 0, max: 1, default: 0 },  // How far notes are evened out within each measure (1 = fully)
+  fingering: { type: 'boolean', default: true },                        // Suggest fingers 1-5 for every note
+  fingeringOutput: { type: 'enum', values: ['none', 'lyrics', 'sidecar'], default: 'none' }, // Also write fingerings into the MIDI or a JSON file
+  onProgress: { type: 'function', default: null },                      // Called with { stage, percent } as each stage finishes
+  logger: { type: 'object' },                                           // Logger to forward messages to (see createLogger)
+  logLevel: { type: 'enum', values: LOG_LEVELS }                        // silent, error, warn, info or debug
+};
+
+const DEFAULT_OPTIONS = Object.fromEntries(
+  Object.entries(OPTION_SCHEMA)
+    .filter(([, spec]) => 'default' in spec)
+    .map(([name, spec]) => [name, spec.default])
+);
+
+// Named bundles of settings; options given alongside a preset override it
+const PRESETS = {
+  'practice-beginner': {
+    description: 'Melody and root notes on a simple grid, with fingerings',
+    options: {
+      difficulty: 'beginner',
+      maxHandSpan: 12,
+      quantize: 'grid',
+      quantizeDivision: 2,
+      minNoteDuration: 0.06,
+      fingeringOutput: 'lyrics'
+    }
+  },
+  'full-arrangement': {
+    description: 'As much of the original as two hands can play, with pedaling',
+    options: {
+      difficulty: 'original',
+      maxRightHandNotes: 5,
+      maxLeftHandNotes: 5,
+      maxHandSpan: 14,
+      synthesizePedal: true
+    }
+  },
+  'jazz-lead-sheet': {
+    description: 'Melody over left-hand block chords on a swung eighth-note grid',
+    options: {
+      difficulty: 'intermediate',
+      accompaniment: 'block',
+      maxRightHandNotes: 3,
+      maxLeftHandNotes: 4,
+      quantize: 'swing',
+      quantizeDivision: 2,
+      swingRatio: 0.66,
+      synthesizePedal: true
+    }
+  }
+};
+
+const BOOLEAN_STRINGS = { true: true, false: false, on: true, off: false };
+
+function describeSpec(spec) {
+  if (spec.type === 'enum') return `one of: ${spec.values.join(', ')}`;
+  if (spec.type === 'boolean') return 'true or false';
+  if (spec.type === 'object') return 'an object';
+  if (spec.type === 'function') return 'a function';
+  if (spec.type === 'keyboard') {
+    return `${spec.values.join(', ')} or a range low-high from ${spec.min} to ${spec.max} at least an octave wide`;
+  }
+  if (spec.type === 'transposition') {
+    return `semitones from ${spec.min} to ${spec.max}, easiest or a key such as G, Bb or F#m`;
+  }
+  const kind = spec.type === 'integer' ? 'a whole number' : 'a number';
+  return `${kind} from ${spec.min} to ${spec.max}`;
+}
+
+// Problem with a value, or null when it fits the spec
+function checkValue(spec, value) {
+  const fits = {
+    integer: () => Number.isInteger(value) && value >= spec.min && value <= spec.max,
+    number: () => typeof value === 'number' && Number.isFinite(value) && value >= spec.min && value <= spec.max,
+    boolean: () => typeof value === 'boolean',
+    enum: () => spec.values.includes(value),
+    object: () => value !== null && typeof value === 'object' && !Array.isArray(value),
+    function: () => value === null || typeof value === 'function',
+    keyboard: () => spec.values.includes(String(value)) ||
+      (value !== null && typeof value === 'object' &&
+        Number.isInteger(value.low) && Number.isInteger(value.high) &&
+        value.low >= spec.min && value.high <= spec.max && value.high - value.low >= 11),
+    transposition: () => (Number.isInteger(value) && value >= spec.min && value <= spec.max) ||
+      value === 'easiest' || (typeof value === 'string' && isKeyName(value))
+  }[spec.type]();
+  return fits ? null : `must be ${describeSpec(spec)} (got ${JSON.stringify(value)})`;
+}
+
+/**
+ * Convert an option given as text, on the command line or in a form, to
+ * its type
+ * @param {string} name - Option name
+ * @param {string} text - The value as typed
+ * @param {string} [label] - How to refer to the option in errors
+ *   (default: its name)
+ * @returns {*} - The typed value
+ */
+function parseOptionValue(name, text, label = name) {
+  const spec = OPTION_SCHEMA[name];
+  if (!spec) {
+    throw new Error(`Unknown option "${name}"`);
+  }
+
+  const trimmed = String(text).trim();
+  let value = trimmed;
+  if ((spec.type === 'integer' || spec.type === 'transposition') && /^[+-]?\d+$/.test(trimmed)) {
+    value = parseInt(trimmed, 10);
+  } else if (spec.type === 'number' && /^[+-]?(\d+\.?\d*|\.\d+)$/.test(trimmed)) {
+    value = parseFloat(trimmed);
+  } else if (spec.type === 'keyboard' && /^\d+\s*-\s*\d+$/.test(trimmed)) {
+    const [low, high] = trimmed.split('-').map(part => parseInt(part, 10));
+    value = { low, high };
+  } else if (spec.type === 'boolean' && trimmed.toLowerCase() in BOOLEAN_STRINGS) {
+    value = BOOLEAN_STRINGS[trimmed.toLowerCase()];
+  }
+
+  const problem = checkValue(spec, value);
+  if (problem) {
+    throw new Error(`Invalid ${label}: ${problem}`);
+  }
+  return value;
+}
+
+/**
+ * Check a complete set of options, reporting every problem at once
+ * @param {Object} options - Options to check
+ * @returns {Object} - The same options
+ */
+function validateOptions(options) {
+  const problems = [];
+  Object.entries(options).forEach(([name, value]) => {
+    const spec = OPTION_SCHEMA[name];
+    if (!spec) {
+      problems.push(`unknown option "${name}"`);
+    } else if (value !== undefined) {
+      const problem = checkValue(spec, value);
+      if (problem) problems.push(`${name} ${problem}`);
+    }
+  });
+
+  if (options.minSplitPoint > options.maxSplitPoint) {
+    problems.push(`minSplitPoint (${options.minSplitPoint}) is above maxSplitPoint (${options.maxSplitPoint})`);
+  }
+  if (options.minBassNote > options.maxBassNote) {
+    problems.push(`minBassNote (${options.minBassNote}) is above maxBassNote (${options.maxBassNote})`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid options: ${problems.join('; ')}`);
+  }
+  return options;
+}
+
+/**
+ * Combine the defaults, an optional preset and the given options, and
+ * validate the result
+ * @param {Object} [options] - Options, optionally with `preset` naming one
+ *   of PRESETS
+ * @returns {Object} - Complete, validated options without `preset`
+ */
+function resolveOptions(options = {}) {
+  const { preset, ...given } = options;
+  // Options left undefined, such as absent form fields, keep their default
+  const rest = Object.fromEntries(Object.entries(given).filter(([, value]) => value !== undefined));
+  let presetOptions = {};
+  if (preset !== undefined && preset !== null && preset !== '') {
+    if (!PRESETS[preset]) {
+      throw new Error(`Unknown preset "${preset}". Expected one of: ${Object.keys(PRESETS).join(', ')}`);
+    }
+    presetOptions = PRESETS[preset].options;
+  }
+  return validateOptions({ ...DEFAULT_OPTIONS, ...presetOptions, ...rest });
+}
+
+module.exports = {
+  OPTION_SCHEMA,
+  DEFAULT_OPTIONS,
+  PRESETS,
+  parseOptionValue,
+  validateOptions,
+  resolveOptions
+};
@@ -0,0 +1,112 @@
+/**
+ * Dynamics
+ *
+ * Balances note velocities once the source tracks share two hands. Every
+ * track is brought to the same average loudness, so a loud pad can't drown
+ * out a quiet lead, and then the melody is lifted above the inner voices
+ * and the bass set against them. Each track keeps its own rises and falls,
+ * and the optional compression only evens out notes within a measure, so
+ * the crescendos and diminuendos of the original survive.
+ */
+
+const { measureIndexAt } = require('./timing');
+
+// Quietest velocity written, so no balanced note falls silent
+const MIN_VELOCITY = 1 / 127;
+
+/**
+ * Balance the velocities of an arrangement
+ * @param {Object} arrangement - Piano arrangement with right and left hands
+ * @param {Object} config - Configuration options (melodyBoost, bassBoost
+ *   and dynamicsCompression)
+ * @param {Array} measureStarts - Start time of every measure in seconds
+ * @returns {Object} - New arrangement with `stats`: { tracks, before,
+ *   after } where tracks lists the gain applied to each source track and
+ *   before and after hold the average velocity (0-127) of the melody,
+ *   inner voices and bass
+ */
+function balanceDynamics(arrangement, config, measureStarts) {
+  const hands = ['rightHand', 'leftHand'];
+  const notes = hands.flatMap(hand => arrangement[hand]);
+  const before = roleLevels(notes);
+  if (notes.length === 0) {
+    return { ...arrangement, stats: { tracks: [], before, after: before } };
+  }
+
+  // One gain per track keeps the track's own dynamics; notes written by
+  // the accompaniment have no track and are balanced as one
+  const overall = average(notes.map(note => note.velocity));
+  const tracks = new Map();
+  notes.forEach(note => {
+    if (!tracks.has(note.track)) tracks.set(note.track, []);
+    tracks.get(note.track).push(note.velocity);
+  });
+  const gains = new Map();
+  tracks.forEach((velocities, track) => gains.set(track, overall / average(velocities)));
+  const normalized = new Map(notes.map(note => [note, note.velocity * gains.get(note.track)]));
+
+  // The phrase level is the average of each measure; compression pulls
+  // notes towards it and leaves the measure-to-measure shape alone
+  const byMeasure = new Map();
+  notes.forEach(note => {
+    const index = measureIndexAt(measureStarts, note.time);
+    if (!byMeasure.has(index)) byMeasure.set(index, []);
+    byMeasure.get(index).push(normalized.get(note));
+  });
+  const phrase = new Map(Array.from(byMeasure, ([index, velocities]) => [index, average(velocities)]));
+
+  const offsets = { melody: config.melodyBoost / 127, inner: 0, bass: config.bassBoost / 127 };
+  const balanced = new Map(notes.map(note => {
+    const level = phrase.get(measureIndexAt(measureStarts, note.time));
+    const velocity = level + (normalized.get(note) - level) * (1 - config.dynamicsCompression);
+    return [note, velocity + offsets[roleOf(note)]];
+  }));
+
+  // Scale everything down together rather than clip the loudest notes,
+  // which would flatten the top of a crescendo. Large files have too many
+  // notes to spread into Math.max
+  const peak = Array.from(balanced.values()).reduce((max, velocity) => Math.max(max, velocity), 0);
+  const headroom = peak > 1 ? 1 / peak : 1;
+  const velocityOf = note => Math.max(MIN_VELOCITY, Math.round(balanced.get(note) * headroom * 127) / 127);
+
+  const result = {};
+  hands.forEach(hand => {
+    result[hand] = arrangement[hand].map(note => ({ ...note, velocity: velocityOf(note) }));
+  });
+  const after = roleLevels(hands.flatMap(hand => result[hand]));
+  const stats = {
+    tracks: Array.from(gains, ([track, gain]) => ({
+      track: track === undefined ? null : track,
+      gain: Math.round(gain * 100) / 100
+    })),
+    before,
+    after
+  };
+
+  return { ...arrangement, ...result, stats };
+}
+
+// Melody, bass or an inner voice
+function roleOf(note) {
+  if (note.melody) return 'melody';
+  if (note.bass) return 'bass';
+  return 'inner';
+}
+
+// Average velocity of each role on the 0-127 scale, or null without notes
+function roleLevels(notes) {
+  const levels = {};
+  ['melody', 'inner', 'bass'].forEach(role => {
+    const velocities = notes.filter(note => roleOf(note) === role).map(note => note.velocity);
+    levels[role] = velocities.length > 0 ? Math.round(average(velocities) * 127) : null;
+  });
+  return levels;
+}
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+module.exports = {
+  balanceDynamics
+};
@@ -0,0 +1,156 @@
+/**
+ * File Storage
+ *
+ * Keeps the server's generated files until they are downloaded. Files get
+ * random ids, so names can't collide or be guessed, and lookups accept only
+ * well-formed ids, so a request can never reach outside the storage
+ * directory. Expiry goes by the files' age on disk: a sweeper deletes old
+ * files periodically and after a restart, and a quota caps the space used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// File types the server stores, by extension
+const FILE_TYPES = ['.mid', '.musicxml', '.zip'];
+const FILE_ID = /^[0-9a-f]{32}\.(mid|musicxml|zip)$/;
+
+/**
+ * Check for the header every standard MIDI file starts with
+ * @param {Buffer|Uint8Array} data - File contents
+ * @returns {boolean} - True when the data starts with an MThd chunk
+ */
+function isMidiData(data) {
+  return data.length >= 14 &&
+    data[0] === 0x4d && data[1] === 0x54 && data[2] === 0x68 && data[3] === 0x64; // MThd
+}
+
+/**
+ * Check for the local file header a ZIP archive starts with
+ * @param {Buffer|Uint8Array} data - File contents
+ * @returns {boolean} - True when the data starts with PK\x03\x04
+ */
+function isZipData(data) {
+  return data.length >= 4 &&
+    data[0] === 0x50 && data[1] === 0x4b && data[2] === 0x03 && data[3] === 0x04;
+}
+
+/**
+ * Create a store for generated files
+ * @param {Object} options - Storage settings
+ * @param {string} options.dir - Directory to keep the files in
+ * @param {number} [options.ttl] - Milliseconds a file is kept (default: one
+ *   hour)
+ * @param {number} [options.maxBytes] - Space the files may take up in total
+ *   (default: 500MB)
+ * @param {number} [options.sweepInterval] - Milliseconds between sweeps for
+ *   expired files (default: five minutes)
+ * @returns {Object} - { save, resolve, sweep, close }
+ */
+function createFileStorage(options) {
+  const dir = options.dir;
+  const ttl = options.ttl || 60 * 60 * 1000;
+  const maxBytes = options.maxBytes || 500 * 1024 * 1024;
+
+  // Stored files with their size and age
+  function listFiles() {
+    return fs.readdirSync(dir)
+      .filter(name => FILE_ID.test(name))
+      .map(name => {
+        const stats = fs.statSync(path.join(dir, name));
+        return { name, size: stats.size, modified: stats.mtimeMs };
+      });
+  }
+
+  /**
+   * Delete expired files
+   * @returns {number} - Number of files deleted
+   */
+  function sweep() {
+    const cutoff = Date.now() - ttl;
+    let deleted = 0;
+    listFiles().forEach(file => {
+      if (file.modified < cutoff) {
+        fs.rmSync(path.join(dir, file.name), { force: true });
+        deleted++;
+      }
+    });
+    return deleted;
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  sweep();
+  const sweeper = setInterval(() => {
+    try {
+      sweep();
+    } catch (error) {
+      console.error('Error sweeping stored files:', error);
+    }
+  }, options.sweepInterval || 5 * 60 * 1000);
+  // The sweeper alone shouldn't keep the process alive
+  sweeper.unref();
+
+  return {
+    /**
+     * Store a file under a new random id
+     * @param {Buffer|string} data - File contents
+     * @param {string} extension - '.mid', '.musicxml' or '.zip'
+     * @returns {string} - The file's id, for resolve and download links
+     */
+    save(data, extension) {
+      if (!FILE_TYPES.includes(extension)) {
+        throw new Error(`Unknown file type "${extension}". Expected one of: ${FILE_TYPES.join(', ')}`);
+      }
+      const size = Buffer.byteLength(data);
+      let used = listFiles().reduce((total, file) => total + file.size, 0);
+      if (used + size > maxBytes) {
+        sweep();
+        used = listFiles().reduce((total, file) => total + file.size, 0);
+      }
+      if (used + size > maxBytes) {
+        const error = new Error('Storage quota exceeded, please try again later');
+        error.code = 'EQUOTA';
+        throw error;
+      }
+
+      const id = crypto.randomBytes(16).toString('hex') + extension;
+      fs.writeFileSync(path.join(dir, id), data);
+      return id;
+    },
+
+    /**
+     * Find a stored file
+     * @param {string} id - File id from save
+     * @returns {Object|null} - { path, extension } or null when the id is
+     *   malformed, unknown or expired
+     */
+    resolve(id) {
+      if (typeof id !== 'string' || !FILE_ID.test(id)) return null;
+      const filePath = path.join(dir, id);
+      let stats;
+      try {
+        stats = fs.statSync(filePath);
+      } catch (error) {
+        return null;
+      }
+      if (stats.mtimeMs < Date.now() - ttl) return null;
+      return { path: filePath, extension: path.extname(id) };
+    },
+
+    sweep,
+
+    /**
+     * Stop the periodic sweeper
+     */
+    close() {
+      clearInterval(sweeper);
+    }
+  };
+}
+
+module.exports = {
+  isMidiData,
+  isZipData,
+  createFileStorage
+};
@@ -0,0 +1,323 @@
+/**
+ * Fingering
+ *
+ * Suggests fingers 1-5 for every note of a hand part. Each onset (a single
+ * note or a chord) can be fingered a handful of ways; a dynamic program picks
+ * the sequence with the lowest total cost, where cost comes from stretches
+ * between fingers inside a chord, hand movement between onsets, awkward
+ * crossings and thumbs or fifth fingers on black keys.
+ */
+
+const { groupByOnset } = require('./voice-extraction');
+
+// Comfortable distances in semitones between two fingers of the right hand,
+// lower finger to higher finger. A stretch within [minRel, maxRel] is
+// relaxed, within [minComf, maxComf] comfortable and within [minPrac, maxPrac]
+// still practicable. The left hand mirrors these.
+const FINGER_SPANS = {
+  '1-2': { minPrac: -5, minComf: -3, minRel: 1, maxRel: 5, maxComf: 8, maxPrac: 10 },
+  '1-3': { minPrac: -4, minComf: -2, minRel: 3, maxRel: 7, maxComf: 10, maxPrac: 12 },
+  '1-4': { minPrac: -3, minComf: -1, minRel: 5, maxRel: 9, maxComf: 12, maxPrac: 14 },
+  '1-5': { minPrac: -1, minComf: 1, minRel: 7, maxRel: 10, maxComf: 13, maxPrac: 15 },
+  '2-3': { minPrac: 1, minComf: 1, minRel: 1, maxRel: 2, maxComf: 3, maxPrac: 5 },
+  '2-4': { minPrac: 1, minComf: 1, minRel: 3, maxRel: 4, maxComf: 5, maxPrac: 7 },
+  '2-5': { minPrac: 2, minComf: 2, minRel: 5, maxRel: 6, maxComf: 8, maxPrac: 10 },
+  '3-4': { minPrac: 1, minComf: 1, minRel: 1, maxRel: 2, maxComf: 2, maxPrac: 4 },
+  '3-5': { minPrac: 1, minComf: 1, minRel: 3, maxRel: 4, maxComf: 5, maxPrac: 7 },
+  '4-5': { minPrac: 1, minComf: 1, minRel: 1, maxRel: 2, maxComf: 3, maxPrac: 5 }
+};
+
+const BLACK_KEYS = new Set([1, 3, 6, 8, 10]);
+
+// Fingers available for one onset; larger chords leave inner notes unfingered
+const FINGERS = [1, 2, 3, 4, 5];
+
+/**
+ * Assign fingers to both hands of an arrangement
+ * @param {Object} arrangement - Piano arrangement with right and left hands
+ * @returns {Object} - { rightHand, leftHand, cost } where each hand is an
+ *   array of fingers (1-5, or null for a note left unfingered) parallel to
+ *   the hand's notes
+ */
+function suggestFingerings(arrangement) {
+  const right = fingerHand(arrangement.rightHand, 'right');
+  const left = fingerHand(arrangement.leftHand, 'left');
+  return {
+    rightHand: right.fingers,
+    leftHand: left.fingers,
+    cost: right.cost + left.cost
+  };
+}
+
+/**
+ * Assign fingers to the notes of one hand with a dynamic program over onsets
+ * @param {Array} notes - Notes of the hand
+ * @param {string} hand - 'right' or 'left'
+ * @returns {Object} - { fingers, cost } with fingers parallel to notes
+ */
+function fingerHand(notes, hand) {
+  const fingers = new Array(notes.length).fill(null);
+  const indexed = notes.map((note, index) => ({ ...note, index }));
+  const groups = groupByOnset(indexed).map(group => ({
+    time: group.time,
+    // Fingered notes run from the thumb outwards: up for the right hand,
+    // down for the left
+    notes: chooseFingeredNotes(group.notes)
+      .sort((a, b) => hand === 'right' ? a.midi - b.midi : b.midi - a.midi)
+  }));
+  if (groups.length === 0) return { fingers, cost: 0 };
+
+  // layers[g] holds one entry per fingering option of group g
+  let previous = null;
+  const layers = groups.map(group => {
+    const layer = fingeringOptions(group.notes.length).map(option => {
+      const own = chordCost(group.notes, option, hand);
+      let best = { cost: own, back: null };
+
+      if (previous) {
+        previous.layer.forEach((entry, backIndex) => {
+          const cost = entry.cost + own +
+            transitionCost(previous.group, entry.option, group, option, hand);
+          if (cost < best.cost || best.back === null) {
+            best = { cost, back: backIndex };
+          }
+        });
+      }
+
+      return { option, cost: best.cost, back: best.back };
+    });
+
+    previous = { group, layer };
+    return layer;
+  });
+
+  // Walk back from the cheapest final option
+  const last = layers[layers.length - 1];
+  let entryIndex = last.reduce((best, entry, index) =>
+    entry.cost < last[best].cost ? index : best, 0);
+  const cost = last[entryIndex].cost;
+
+  for (let g = groups.length - 1; g >= 0; g--) {
+    const entry = layers[g][entryIndex];
+    groups[g].notes.forEach((note, i) => {
+      fingers[note.index] = entry.option[i];
+    });
+    entryIndex = entry.back;
+  }
+
+  return { fingers, cost };
+}
+
+/**
+ * Pick at most five notes of an onset to finger: the outer notes and an even
+ * spread of the inner ones
+ * @param {Array} notes - Notes starting together
+ * @returns {Array} - Notes to finger
+ */
+function chooseFingeredNotes(notes) {
+  if (notes.length <= FINGERS.length) return notes;
+
+  const sorted = [...notes].sort((a, b) => a.midi - b.midi);
+  const step = (sorted.length - 1) / (FINGERS.length - 1);
+  return FINGERS.map((_, i) => sorted[Math.round(i * step)]);
+}
+
+/**
+ * All ways to give `count` notes strictly increasing fingers
+ * @param {number} count - Number of notes
+ * @returns {Array} - Arrays of fingers
+ */
+function fingeringOptions(count) {
+  const options = [];
+  const build = (start, chosen) => {
+    if (chosen.length === count) {
+      options.push(chosen);
+      return;
+    }
+    for (let finger = start; finger <= 5; finger++) {
+      build(finger + 1, [...chosen, finger]);
+    }
+  };
+  build(1, []);
+  return options;
+}
+
+/**
+ * Cost of playing two notes with two fingers, from the span table
+ * @param {number} fromMidi - Pitch under the first finger
+ * @param {number} fromFinger - First finger
+ * @param {number} toMidi - Pitch under the second finger
+ * @param {number} toFinger - Second finger
+ * @param {string} hand - 'right' or 'left'
+ * @param {number} [relaxedWeight] - Cost per semitone outside the relaxed
+ *   range; notes played one after the other leave the relaxed range all the
+ *   time, so transitions count it for less than chords do
+ * @returns {number} - Stretch cost
+ */
+function stretchCost(fromMidi, fromFinger, toMidi, toFinger, hand, relaxedWeight = 1) {
+  // Orient so the lower finger comes first, and mirror the left hand
+  let distance = toMidi - fromMidi;
+  let low = fromFinger;
+  let high = toFinger;
+  if (fromFinger > toFinger) {
+    distance = -distance;
+    low = toFinger;
+    high = fromFinger;
+  }
+  if (hand === 'left') distance = -distance;
+
+  const span = FINGER_SPANS[`${low}-${high}`];
+  let cost = 0;
+  // One point per semitone outside the relaxed range, two beyond the
+  // comfortable range and ten beyond what is practicable
+  if (distance < span.minRel) cost += relaxedWeight * (span.minRel - Math.max(distance, span.minComf));
+  if (distance > span.maxRel) cost += relaxedWeight * (Math.min(distance, span.maxComf) - span.maxRel);
+  if (distance < span.minComf) cost += 2 * (span.minComf - Math.max(distance, span.minPrac));
+  if (distance > span.maxComf) cost += 2 * (Math.min(distance, span.maxPrac) - span.maxComf);
+  if (distance < span.minPrac) cost += 10 * (span.minPrac - distance);
+  if (distance > span.maxPrac) cost += 10 * (distance - span.maxPrac);
+  return cost;
+}
+
+/**
+ * Cost of one finger on one key
+ * @param {number} midi - Pitch
+ * @param {number} finger - Finger
+ * @returns {number} - Key cost
+ */
+function keyCost(midi, finger) {
+  if (!BLACK_KEYS.has(midi % 12)) return 0;
+  if (finger === 1) return 1.5;
+  if (finger === 5) return 1;
+  return 0;
+}
+
+/**
+ * Cost of fingering the notes of one onset together
+ * @param {Array} notes - Notes ordered from the thumb outwards
+ * @param {Array} option - Fingers parallel to the notes
+ * @param {string} hand - 'right' or 'left'
+ * @returns {number} - Chord cost
+ */
+function chordCost(notes, option, hand) {
+  let cost = 0;
+  notes.forEach((note, i) => {
+    cost += keyCost(note.midi, option[i]);
+    if (i > 0) {
+      cost += stretchCost(notes[i - 1].midi, option[i - 1], note.midi, option[i], hand);
+    }
+  });
+  return cost;
+}
+
+/**
+ * Cost of moving from one fingered onset to the next. The outer notes of
+ * both onsets are compared: their stretch as if played in sequence, a
+ * penalty for reusing a finger on a new key, crossings (cheap when the thumb
+ * passes under, expensive otherwise), and fingers still holding a key from
+ * the previous onset.
+ * @returns {number} - Transition cost
+ */
+function transitionCost(fromGroup, fromOption, toGroup, toOption, hand) {
+  let cost = 0;
+  const ends = (notes, option) => [
+    { midi: notes[0].midi, finger: option[0] },
+    { midi: notes[notes.length - 1].midi, finger: option[option.length - 1] }
+  ];
+  const fromEnds = ends(fromGroup.notes, fromOption);
+  const toEnds = ends(toGroup.notes, toOption);
+
+  // Half weight each, so two single notes count once in full
+  const weight = 0.5;
+  [0, 1].forEach(i => {
+    const from = fromEnds[i];
+    const to = toEnds[i];
+
+    if (from.finger === to.finger) {
+      // Same finger: fine on a repeated key, a hand shift otherwise
+      if (from.midi !== to.midi) cost += weight * (3 + Math.abs(to.midi - from.midi) * 0.5);
+      return;
+    }
+
+    const ascending = hand === 'right' ? to.midi > from.midi : to.midi < from.midi;
+    const crossed = ascending ? to.finger < from.finger : to.finger > from.finger;
+    if (crossed && from.midi !== to.midi) {
+      cost += weight * (from.finger === 1 || to.finger === 1 ? 2 : 8);
+    }
+    cost += weight * stretchCost(from.midi, from.finger, to.midi, to.finger, hand, 0.5);
+  });
+
+  // A finger still holding a key can't play a different one
+  fromGroup.notes.forEach((held, i) => {
+    if (held.time + held.duration <= toGroup.time + 1e-6) return;
+    toGroup.notes.forEach((note, j) => {
+      if (toOption[j] === fromOption[i] && note.midi !== held.midi) cost += 8;
+    });
+  });
+
+  return cost;
+}
+
+/**
+ * Build lyric meta events spelling out the fingering, one per hand and
+ * onset, such as "R 1-3-5" or "L 5"
+ * @param {Object} arrangement - Piano arrangement with right and left hands
+ * @param {Object} fingerings - Fingerings from suggestFingerings
+ * @param {Object} header - Header of the output Midi, to convert times
+ * @returns {Array} - Meta events for header.meta
+ */
+function createFingeringLyrics(arrangement, fingerings, header) {
+  const events = [];
+
+  [['R', arrangement.rightHand, fingerings.rightHand],
+    ['L', arrangement.leftHand, fingerings.leftHand]].forEach(([label, notes, fingers]) => {
+    const fingered = notes
+      .map((note, index) => ({ ...note, finger: fingers[index] }))
+      .filter(note => note.finger !== null);
+
+    groupByOnset(fingered).forEach(group => {
+      const text = group.notes
+        .sort((a, b) => a.midi - b.midi)
+        .map(note => note.finger)
+        .join('-');
+      events.push({
+        type: 'lyrics',
+        text: `${label} ${text}`,
+        ticks: Math.round(header.secondsToTicks(group.time))
+      });
+    });
+  });
+
+  return events.sort((a, b) => a.ticks - b.ticks);
+}
+
+/**
+ * Build the fingering sidecar: for each hand, the finger of every note as
+ * written to the output file, identified by its track, ticks and pitch and
+ * listed in order of ticks, then pitch
+ * @param {Object} arrangement - Piano arrangement with right and left hands
+ * @param {Object} fingerings - Fingerings from suggestFingerings
+ * @param {Object} header - Header of the output Midi, to convert times
+ * @returns {Object} - { ppq, rightHand, leftHand } where each hand is an
+ *   array of { track, ticks, time, midi, finger }, ready for JSON.stringify
+ */
+function createFingeringSidecar(arrangement, fingerings, header) {
+  const entries = (notes, fingers, track) => notes
+    .map((note, index) => {
+      const ticks = Math.round(header.secondsToTicks(note.time));
+      return { track, ticks, time: header.ticksToSeconds(ticks), midi: note.midi, finger: fingers[index] };
+    })
+    .sort((a, b) => a.ticks - b.ticks || a.midi - b.midi);
+
+  return {
+    ppq: header.ppq,
+    rightHand: entries(arrangement.rightHand, fingerings.rightHand, 'Right Hand'),
+    leftHand: entries(arrangement.leftHand, fingerings.leftHand, 'Left Hand')
+  };
+}
+
+module.exports = {
+  suggestFingerings,
+  createFingeringLyrics,
+  createFingeringSidecar
+};
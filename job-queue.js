@@ -0,0 +1,274 @@
+/**
+ * Job Queue
+ *
+ * Runs optimizations in the background on worker threads and keeps every
+ * job on disk, so status and results survive a server restart. A job is a
+ * set of files named after its id: <id>.json holds its state, <id>.input.mid
+ * the upload until it has been processed, and <id>.mid, <id>.musicxml and
+ * <id>.arrangement.json the results. Jobs that were queued or running when
+ * the server stopped are started again. Finished jobs expire like the file
+ * storage's files: a sweeper deletes them after maxAge, and a quota caps the
+ * space the directory takes up.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createWorkerPool } = require('./worker-pool');
+
+const JOB_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const STATE_FILE = /^([0-9a-f-]{36})\.json$/;
+
+/**
+ * Create a job queue that keeps its jobs in a directory
+ * @param {Object} options - Queue settings
+ * @param {string} options.dir - Directory for job state and files
+ * @param {number} [options.concurrency] - Jobs run at once (default: number
+ *   of CPUs)
+ * @param {number} [options.maxAge] - Milliseconds finished jobs are kept
+ *   (default: one day)
+ * @param {number} [options.maxBytes] - Space the job files may take up in
+ *   total; submitting beyond it fails with error code EQUOTA (default:
+ *   500MB)
+ * @param {number} [options.sweepInterval] - Milliseconds between sweeps for
+ *   expired jobs (default: five minutes)
+ * @param {Object} [options.logger] - Where to report jobs that fail outside
+ *   the optimizer, such as when their files can't be written, and progress
+ *   that can't be saved (default: console)
+ * @returns {Object} - { submit, get, resultPath, close }
+ */
+function createJobQueue(options) {
+  const dir = options.dir;
+  const concurrency = Math.max(1, options.concurrency || os.cpus().length);
+  const maxAge = options.maxAge || 24 * 60 * 60 * 1000;
+  const maxBytes = options.maxBytes || 500 * 1024 * 1024;
+  const logger = options.logger || console;
+  const pool = createWorkerPool(concurrency);
+  const pending = [];
+  let active = 0;
+  let closed = false;
+
+  const filePath = (id, suffix) => path.join(dir, `${id}${suffix}`);
+
+  function save(job) {
+    job.updatedAt = new Date().toISOString();
+    // Write and rename, so a crash never leaves half a state file behind
+    const target = filePath(job.id, '.json');
+    fs.writeFileSync(`${target}.tmp`, JSON.stringify(job));
+    fs.renameSync(`${target}.tmp`, target);
+  }
+
+  function load(id) {
+    if (!JOB_ID.test(id)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(filePath(id, '.json'), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function remove(id) {
+    fs.readdirSync(dir)
+      .filter(name => name.startsWith(`${id}.`))
+      .forEach(name => fs.unlinkSync(path.join(dir, name)));
+  }
+
+  // Delete finished jobs older than maxAge
+  function prune() {
+    const cutoff = Date.now() - maxAge;
+    fs.readdirSync(dir).forEach(name => {
+      const match = name.match(STATE_FILE);
+      const job = match && load(match[1]);
+      if (job && job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        remove(job.id);
+      }
+    });
+  }
+
+  // Space taken by every job's files
+  function usedBytes() {
+    return fs.readdirSync(dir)
+      .reduce((total, name) => total + fs.statSync(path.join(dir, name)).size, 0);
+  }
+
+  async function run(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    save(job);
+
+    try {
+      const input = await fs.promises.readFile(filePath(job.id, '.input.mid'));
+      const result = await pool.run(
+        { input, options: job.options, musicXml: { title: job.name.replace(/\.midi?$/i, '') } },
+        progress => {
+          job.stage = progress.stage;
+          job.progress = progress.percent;
+          // This runs in the worker's message handler, where a throw would
+          // stop the server; the next save catches up on a missed update
+          try {
+            save(job);
+          } catch (error) {
+            logger.error(`Could not save the progress of job ${job.id}:`, error);
+          }
+        }
+      );
+
+      fs.writeFileSync(filePath(job.id, '.mid'), Buffer.from(result.output));
+      fs.writeFileSync(filePath(job.id, '.musicxml'), result.musicXml);
+      fs.writeFileSync(filePath(job.id, '.arrangement.json'), JSON.stringify({
+        arrangement: result.arrangement,
+        draftArrangement: result.draftArrangement
+      }));
+      job.status = 'done';
+      job.progress = 100;
+      job.report = result.report;
+    } catch (error) {
+      // Jobs cut short by close() stay running and start again next time
+      if (closed) return;
+      job.status = 'failed';
+      job.error = error.message;
+    }
+    fs.rmSync(filePath(job.id, '.input.mid'), { force: true });
+    job.finishedAt = new Date().toISOString();
+    save(job);
+  }
+
+  // Record a job that failed outside the optimizer, for example because
+  // its state or results couldn't be written
+  function fail(job, error) {
+    logger.error(`Job ${job.id} failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+    job.finishedAt = new Date().toISOString();
+    try {
+      save(job);
+    } catch (saveError) {
+      logger.error(`Could not save the state of job ${job.id}:`, saveError);
+    }
+  }
+
+  function next() {
+    while (!closed && active < concurrency && pending.length > 0) {
+      active++;
+      const job = pending.shift();
+      run(job)
+        .catch(error => fail(job, error))
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  }
+
+  // Pick up where the last run stopped
+  fs.mkdirSync(dir, { recursive: true });
+  prune();
+  fs.readdirSync(dir)
+    .map(name => name.match(STATE_FILE))
+    .filter(Boolean)
+    .map(match => load(match[1]))
+    .filter(job => job && (job.status === 'queued' || job.status === 'running'))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .forEach(job => {
+      if (!fs.existsSync(filePath(job.id, '.input.mid'))) {
+        job.status = 'failed';
+        job.error = 'Input file missing after restart';
+        job.finishedAt = new Date().toISOString();
+        save(job);
+        return;
+      }
+      job.status = 'queued';
+      job.stage = null;
+      job.progress = 0;
+      save(job);
+      pending.push(job);
+    });
+  next();
+
+  const sweeper = setInterval(() => {
+    try {
+      prune();
+    } catch (error) {
+      logger.error('Error sweeping finished jobs:', error);
+    }
+  }, options.sweepInterval || 5 * 60 * 1000);
+  // The sweeper alone shouldn't keep the process alive
+  sweeper.unref();
+
+  return {
+    /**
+     * Queue a MIDI file for optimization
+     * @param {Buffer} input - MIDI file bytes
+     * @param {Object} settings - { name, options } with the file name and
+     *   optimizer options (without a logger, which can't be passed to a
+     *   worker)
+     * @returns {Object} - The new job's state
+     */
+    submit(input, settings) {
+      prune();
+      if (usedBytes() + input.length > maxBytes) {
+        const error = new Error('Storage quota exceeded, please try again later');
+        error.code = 'EQUOTA';
+        throw error;
+      }
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        name: settings.name,
+        status: 'queued',
+        stage: null,
+        progress: 0,
+        options: settings.options,
+        error: null,
+        report: null,
+        createdAt: now,
+        startedAt: null,
+        finishedAt: null
+      };
+      fs.writeFileSync(filePath(job.id, '.input.mid'), input);
+      save(job);
+      pending.push(job);
+      next();
+      return job;
+    },
+
+    /**
+     * Look up a job
+     * @param {string} id - Job id
+     * @returns {Object|null} - The job's state, or null for unknown ids
+     */
+    get(id) {
+      return load(id);
+    },
+
+    /**
+     * Path of a finished job's result file
+     * @param {string} id - Job id
+     * @param {string} format - 'midi', 'musicxml' or 'arrangement'
+     * @returns {string} - File path
+     */
+    resultPath(id, format) {
+      const suffixes = { midi: '.mid', musicxml: '.musicxml', arrangement: '.arrangement.json' };
+      if (!suffixes[format]) {
+        throw new Error(`Unknown result format "${format}". Expected one of: ${Object.keys(suffixes).join(', ')}`);
+      }
+      return filePath(id, suffixes[format]);
+    },
+
+    /**
+     * Stop the workers. Unfinished jobs keep their state on disk and are
+     * started again by the next queue on the same directory.
+     * @returns {Promise} - Resolves once the workers have exited
+     */
+    close() {
+      closed = true;
+      clearInterval(sweeper);
+      return pool.close();
+    }
+  };
+}
+
+module.exports = {
+  createJobQueue
+};
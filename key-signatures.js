@@ -0,0 +1,242 @@
+/**
+ * Key Signatures
+ *
+ * Finds the key of a piece and moves it to another one. Files without key
+ * signatures get a key from their notes, matched against the
+ * Krumhansl-Kessler pitch-class profiles. Transposing works on the key
+ * signature's position on the circle of fifths, so "easiest" can pick the
+ * key with the fewest sharps or flats that still fits the keyboard.
+ *
+ * Keys are given like @tonejs/midi gives them: the name of the major key
+ * with the same signature plus a scale, so A minor is { key: 'C', scale:
+ * 'minor' }.
+ */
+
+// How strongly each scale degree suggests a key (Krumhansl & Kessler)
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Tonic names by fifths from -7 (seven flats) to 7 (seven sharps); the
+// major ones are also the key names @tonejs/midi uses
+const MAJOR_TONICS = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+const MINOR_TONICS = ['Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#'];
+
+const PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// The 88 keys of a piano, A0-C8
+const KEYBOARD_RANGE = { low: 21, high: 108 };
+
+/**
+ * Guess the key of a piece from how long each pitch class sounds
+ * @param {Array} notes - Notes with midi and duration
+ * @returns {Object|null} - { key, scale, fifths, confidence } or null when
+ *   there are no notes; confidence is the correlation with the best
+ *   matching profile, from -1 to 1
+ */
+function detectKey(notes) {
+  if (notes.length === 0) return null;
+
+  const weights = new Array(12).fill(0);
+  notes.forEach(note => {
+    weights[note.midi % 12] += note.duration;
+  });
+
+  let best = null;
+  for (let tonic = 0; tonic < 12; tonic++) {
+    [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]].forEach(([scale, profile]) => {
+      const rotated = weights.map((_, degree) => weights[(tonic + degree) % 12]);
+      const confidence = correlate(rotated, profile);
+      if (!best || confidence > best.confidence) {
+        best = { tonic, scale, confidence };
+      }
+    });
+  }
+
+  // A minor key shares its signature with the major key 3 semitones up
+  const majorTonic = best.scale === 'minor' ? (best.tonic + 3) % 12 : best.tonic;
+  const fifths = normalizeFifths(majorTonic * 7);
+  return {
+    key: keyName(fifths),
+    scale: best.scale,
+    fifths,
+    confidence: Math.round(best.confidence * 1000) / 1000
+  };
+}
+
+/**
+ * Work out how many semitones to move a piece
+ * @param {number|string} transpose - Semitones, 'easiest' or a key name
+ *   such as 'G', 'Bb' or 'F#m'; a key name moves the piece to that key's
+ *   signature
+ * @param {Array} keySignatures - The piece's key signatures, { key, scale }
+ * @param {Array} notes - The piece's notes, to keep within the keyboard
+ * @param {Object} [keyboard] - { low, high } range of the keyboard
+ *   (default: 88 keys)
+ * @returns {number} - Semitones, negative for down
+ */
+function resolveTransposition(transpose, keySignatures, notes, keyboard = KEYBOARD_RANGE) {
+  if (typeof transpose === 'number') return transpose;
+
+  const fifths = keySignatures.map(signature => keyFifths(signature.key));
+  // Large files have too many notes to spread into Math.min/max
+  const low = notes.length > 0 ? notes.reduce((min, note) => Math.min(min, note.midi), Infinity) : keyboard.low;
+  const high = notes.length > 0 ? notes.reduce((max, note) => Math.max(max, note.midi), -Infinity) : keyboard.high;
+  const fits = semitones => low + semitones >= keyboard.low && high + semitones <= keyboard.high;
+
+  // Every move from a tritone down to a tritone up, smallest first; when
+  // none keeps the piece on the keyboard, folding will have to
+  const moves = [0, 1, -1, 2, -2, 3, -3, 4, -4, 5, -5, 6, -6];
+  const candidates = moves.some(fits) ? moves.filter(fits) : moves;
+
+  if (transpose === 'easiest') {
+    // Staying put keeps the signatures as they are (see transposeKeySignatures)
+    const accidentals = semitones => fifths.reduce((sum, value) =>
+      sum + Math.abs(semitones === 0 ? value : normalizeFifths(value + semitones * 7)), 0);
+    return candidates.reduce((best, semitones) =>
+      accidentals(semitones) < accidentals(best) ? semitones : best);
+  }
+
+  const target = parseKeyName(transpose);
+  if (!target) {
+    throw new Error(`Unknown key "${transpose}". Expected semitones, easiest or a key such as G, Bb or F#m`);
+  }
+  const source = fifths.length > 0 ? fifths[0] : 0;
+  const match = candidates.find(semitones => normalizeFifths(source + semitones * 7) === target.fifths);
+  return match === undefined ? 0 : match;
+}
+
+/**
+ * Move key signatures by a number of semitones
+ * @param {Array} keySignatures - Key signatures with key and scale
+ * @param {number} semitones - Semitones to move them
+ * @returns {Array} - New key signatures with the same other fields
+ */
+function transposeKeySignatures(keySignatures, semitones) {
+  if (semitones === 0) return keySignatures.map(signature => ({ ...signature }));
+  return keySignatures.map(signature => ({
+    ...signature,
+    key: keyName(normalizeFifths(keyFifths(signature.key) + semitones * 7))
+  }));
+}
+
+/**
+ * Name a key for people, such as "Eb major" or "F# minor"
+ * @param {Object} signature - { key, scale }
+ * @returns {string} - Tonic and scale
+ */
+function describeKey(signature) {
+  const index = keyFifths(signature.key) + 7;
+  const tonics = signature.scale === 'minor' ? MINOR_TONICS : MAJOR_TONICS;
+  return `${tonics[index]} ${signature.scale === 'minor' ? 'minor' : 'major'}`;
+}
+
+/**
+ * Check whether text names a key, for option validation
+ * @param {string} text - Key name such as 'Eb', 'F#m' or 'A minor'
+ * @returns {boolean} - True for a known key
+ */
+function isKeyName(text) {
+  return parseKeyName(text) !== null;
+}
+
+/**
+ * Write a Midi to bytes with correct key signatures. @tonejs/midi writes
+ * the key's position in its list of names instead of the number of sharps
+ * or flats, so the key byte of its key signature events is set afterwards.
+ * @param {Midi} midi - MIDI to write
+ * @returns {Uint8Array} - MIDI file bytes
+ */
+function encodeMidi(midi) {
+  const bytes = midi.toArray();
+  // The events are written in time order, ties in the header's order
+  const fifths = [...midi.header.keySignatures]
+    .sort((a, b) => a.ticks - b.ticks)
+    .map(signature => keyFifths(signature.key));
+
+  // The header's events are meta events in the first track, which follows
+  // the 14-byte header chunk
+  const readLength = () => {
+    let value = 0;
+    let byte;
+    do {
+      byte = bytes[offset++];
+      value = (value << 7) | (byte & 0x7f);
+    } while (byte & 0x80);
+    return value;
+  };
+  const trackEnd = 22 + ((bytes[18] << 24) | (bytes[19] << 16) | (bytes[20] << 8) | bytes[21]);
+  let offset = 22;
+  let index = 0;
+  while (offset < trackEnd && index < fifths.length) {
+    readLength(); // delta time
+    if (bytes[offset] !== 0xff) break;
+    const type = bytes[offset + 1];
+    offset += 2;
+    const length = readLength();
+    if (type === 0x59 && length === 2) {
+      bytes[offset] = fifths[index++] & 0xff;
+    }
+    offset += length;
+  }
+
+  return bytes;
+}
+
+/**
+ * Number of sharps (positive) or flats (negative) of a key name
+ * @param {string} key - Key name as parsed by @tonejs/midi, such as "Eb"
+ * @returns {number} - Fifths, or 0 for an unknown key
+ */
+function keyFifths(key) {
+  const index = MAJOR_TONICS.indexOf(key);
+  return index === -1 ? 0 : index - 7;
+}
+
+function keyName(fifths) {
+  return MAJOR_TONICS[fifths + 7];
+}
+
+// Fold fifths onto -6 to 5, where every signature has the fewest
+// accidentals (Gb and F# tie; Gb, with Eb minor, is the more common)
+function normalizeFifths(fifths) {
+  const folded = ((fifths % 12) + 12) % 12;
+  return folded > 5 ? folded - 12 : folded;
+}
+
+// Parse 'Eb', 'F#m', 'Bbmin' or 'A minor' into { fifths, scale }, or null
+function parseKeyName(text) {
+  const match = /^([A-Ga-g])([#b]?)\s*(m|min|minor|maj|major)?$/.exec(String(text).trim());
+  if (!match) return null;
+
+  const [, letter, accidental, mode] = match;
+  const pitchClass = (PITCH_CLASSES[letter.toUpperCase()] + (accidental === '#' ? 1 : accidental === 'b' ? -1 : 0) + 12) % 12;
+  const scale = mode && mode.startsWith('m') && !mode.startsWith('maj') ? 'minor' : 'major';
+  const majorTonic = scale === 'minor' ? (pitchClass + 3) % 12 : pitchClass;
+  return { fifths: normalizeFifths(majorTonic * 7), scale };
+}
+
+// Pearson correlation of two equally long lists
+function correlate(a, b) {
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const meanA = mean(a);
+  const meanB = mean(b);
+  let product = 0;
+  let squaresA = 0;
+  let squaresB = 0;
+  a.forEach((value, index) => {
+    product += (value - meanA) * (b[index] - meanB);
+    squaresA += (value - meanA) ** 2;
+    squaresB += (b[index] - meanB) ** 2;
+  });
+  return squaresA === 0 || squaresB === 0 ? 0 : product / Math.sqrt(squaresA * squaresB);
+}
+
+module.exports = {
+  detectKey,
+  resolveTransposition,
+  transposeKeySignatures,
+  describeKey,
+  isKeyName,
+  keyFifths,
+  encodeMidi
+};
@@ -0,0 +1,50 @@
+/**
+ * Logger
+ *
+ * Leveled logging for the optimizer. The library never writes to the console
+ * on its own: callers either inject a logger (anything with debug/info/warn/
+ * error methods, such as `console` or a pino/winston instance) or pick a log
+ * level for a console-backed one.
+ */
+
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+const silentLogger = {
+  debug() {},
+  info() {},
+  warn() {},
+  error() {}
+};
+
+/**
+ * Create a logger that drops messages below the configured level
+ * @param {Object} options - Configuration options
+ * @param {Object} [options.logger] - Logger to forward messages to
+ *   (default: console)
+ * @param {string} [options.logLevel] - One of silent, error, warn, info or
+ *   debug (default: debug with an injected logger, silent without)
+ * @returns {Object} - Logger with debug, info, warn and error methods
+ */
+function createLogger(options = {}) {
+  const target = options.logger || console;
+  const level = options.logLevel || (options.logger ? 'debug' : 'silent');
+
+  const threshold = LOG_LEVELS.indexOf(level);
+  if (threshold === -1) {
+    throw new Error(`Unknown log level "${level}". Expected one of: ${LOG_LEVELS.join(', ')}`);
+  }
+  if (threshold === 0) return silentLogger;
+
+  const logger = {};
+  LOG_LEVELS.slice(1).forEach((name, index) => {
+    const method = typeof target[name] === 'function' ? target[name].bind(target) : null;
+    logger[name] = method && index < threshold ? method : () => {};
+  });
+  return logger;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger,
+  silentLogger
+};
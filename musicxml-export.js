@@ -0,0 +1,427 @@
+/**
+ * MusicXML Export
+ *
+ * Renders a piano arrangement as sheet music: one piano part on a grand
+ * staff, the right hand on the treble staff and the left hand on the bass
+ * staff. Notes are snapped to a sixteenth-note grid, split at barlines with
+ * ties, spelled for the key signature and spread over as many voices per
+ * staff as overlapping notes need.
+ */
+
+const { keyFifths } = require('./key-signatures');
+
+// Grid positions per quarter note; the shortest written value is a 16th
+const DIVISIONS = 4;
+
+// Written note values by length in grid positions, longest first
+const NOTE_VALUES = [
+  { length: 16, type: 'whole', dots: 0 },
+  { length: 12, type: 'half', dots: 1 },
+  { length: 8, type: 'half', dots: 0 },
+  { length: 6, type: 'quarter', dots: 1 },
+  { length: 4, type: 'quarter', dots: 0 },
+  { length: 3, type: 'eighth', dots: 1 },
+  { length: 2, type: 'eighth', dots: 0 },
+  { length: 1, type: '16th', dots: 0 }
+];
+
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+const FLAT_ORDER = ['B', 'E', 'A', 'D', 'G', 'C', 'F'];
+
+// First voice number of each staff; further voices count up from there
+const STAFF_VOICES = { 1: 1, 2: 5 };
+
+/**
+ * Create a MusicXML document for a piano arrangement
+ * @param {Object} header - Header of the output Midi (tempos, time and key
+ *   signatures)
+ * @param {Object} arrangement - Piano arrangement with right and left hands
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.title] - Work title (default: the header name)
+ * @returns {string} - MusicXML (score-partwise) document
+ */
+function createMusicXml(header, arrangement, options = {}) {
+  const unitTicks = header.ppq / DIVISIONS;
+  const toUnits = seconds => Math.round(header.secondsToTicks(seconds) / unitTicks);
+
+  const staves = [
+    { number: 1, notes: quantizeNotes(arrangement.rightHand, toUnits) },
+    { number: 2, notes: quantizeNotes(arrangement.leftHand, toUnits) }
+  ];
+  const endUnits = Math.max(1, ...staves.flatMap(staff => staff.notes.map(note => note.end)));
+  const measures = buildMeasures(header, unitTicks, endUnits);
+
+  staves.forEach(staff => {
+    staff.voices = assignVoices(staff.notes, staff.number);
+  });
+
+  const title = options.title || header.name || 'Piano Arrangement';
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 3.1 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="3.1">',
+    `  <work><work-title>${escapeXml(title)}</work-title></work>`,
+    '  <part-list>',
+    '    <score-part id="P1"><part-name>Piano</part-name></score-part>',
+    '  </part-list>',
+    '  <part id="P1">'
+  ];
+
+  let previous = null;
+  measures.forEach((measure, index) => {
+    lines.push(`    <measure number="${index + 1}">`);
+    lines.push(...measureAttributes(measure, previous, index === 0));
+    lines.push(...measureTempo(header, measure, unitTicks));
+
+    let first = true;
+    staves.forEach(staff => {
+      staff.voices.forEach((voice, voiceIndex) => {
+        // Extra voices only appear in measures where they have notes
+        const inMeasure = voice.chords.filter(chord =>
+          chord.start < measure.end && chord.end > measure.start
+        );
+        if (voiceIndex > 0 && inMeasure.length === 0) return;
+
+        if (!first) {
+          lines.push(`      <backup><duration>${measure.length}</duration></backup>`);
+        }
+        first = false;
+        lines.push(...renderVoice(inMeasure, measure, staff.number, voice.number));
+      });
+    });
+
+    lines.push('    </measure>');
+    previous = measure;
+  });
+
+  lines.push('  </part>', '</score-partwise>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Snap notes to the grid and drop repeated keys at the same position
+ * @param {Array} notes - Notes of one hand, in seconds
+ * @param {Function} toUnits - Converts seconds to grid positions
+ * @returns {Array} - Notes as { midi, start, end } in grid positions
+ */
+function quantizeNotes(notes, toUnits) {
+  const seen = new Set();
+  const result = [];
+
+  notes.forEach(note => {
+    const start = toUnits(note.time);
+    const end = Math.max(start + 1, toUnits(note.time + note.duration));
+    const key = `${note.midi}:${start}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    result.push({ midi: note.midi, start, end });
+  });
+
+  return result.sort((a, b) => a.start - b.start || b.midi - a.midi);
+}
+
+/**
+ * Lay out measures in grid positions from the time and key signatures
+ * @param {Object} header - Output MIDI header
+ * @param {number} unitTicks - Ticks per grid position
+ * @param {number} endUnits - Grid position where the music ends
+ * @returns {Array} - Array of { start, end, length, timeSignature, fifths,
+ *   mode } measures
+ */
+function buildMeasures(header, unitTicks, endUnits) {
+  const timeSignatures = header.timeSignatures.length > 0
+    ? [...header.timeSignatures].sort((a, b) => a.ticks - b.ticks)
+    : [{ ticks: 0, timeSignature: [4, 4] }];
+  const keySignatures = [...header.keySignatures].sort((a, b) => a.ticks - b.ticks);
+
+  const keyAt = units => {
+    let key = { fifths: 0, mode: 'major' };
+    keySignatures.forEach(signature => {
+      if (signature.ticks / unitTicks <= units) {
+        key = { fifths: keyFifths(signature.key), mode: signature.scale || 'major' };
+      }
+    });
+    return key;
+  };
+
+  const measures = [];
+  let start = 0;
+  let signatureIndex = 0;
+
+  while (start < endUnits) {
+    while (signatureIndex + 1 < timeSignatures.length &&
+        timeSignatures[signatureIndex + 1].ticks / unitTicks <= start) {
+      signatureIndex++;
+    }
+    const [numerator, denominator] = timeSignatures[signatureIndex].timeSignature;
+    const length = Math.max(1, Math.round(numerator * DIVISIONS * 4 / denominator));
+    measures.push({
+      start,
+      end: start + length,
+      length,
+      timeSignature: [numerator, denominator],
+      ...keyAt(start)
+    });
+    start += length;
+  }
+
+  return measures;
+}
+
+/**
+ * Distribute notes over voices. Notes sharing start and end form a chord;
+ * each chord goes to the first voice that is free by then, so voices never
+ * overlap.
+ * @param {Array} notes - Quantized notes of one staff
+ * @param {number} staffNumber - Staff number (1 or 2)
+ * @returns {Array} - Array of { number, chords } voices
+ */
+function assignVoices(notes, staffNumber) {
+  const chords = new Map();
+  notes.forEach(note => {
+    const key = `${note.start}:${note.end}`;
+    if (!chords.has(key)) {
+      chords.set(key, { start: note.start, end: note.end, pitches: [] });
+    }
+    chords.get(key).pitches.push(note.midi);
+  });
+
+  // Longer chords first at each position, so the main voice stays steady
+  const ordered = Array.from(chords.values())
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const voices = [{ number: STAFF_VOICES[staffNumber], chords: [], free: 0 }];
+  ordered.forEach(chord => {
+    chord.pitches.sort((a, b) => a - b);
+    let voice = voices.find(candidate => candidate.free <= chord.start);
+    if (!voice) {
+      voice = { number: STAFF_VOICES[staffNumber] + voices.length, chords: [], free: 0 };
+      voices.push(voice);
+    }
+    voice.chords.push(chord);
+    voice.free = chord.end;
+  });
+
+  return voices;
+}
+
+/**
+ * Attributes for a measure: divisions, key, time and clefs on the first
+ * measure, and any key or time signature change after that
+ * @returns {Array} - XML lines
+ */
+function measureAttributes(measure, previous, isFirst) {
+  const parts = [];
+  if (isFirst) parts.push(`        <divisions>${DIVISIONS}</divisions>`);
+
+  if (isFirst || measure.fifths !== previous.fifths || measure.mode !== previous.mode) {
+    parts.push(`        <key><fifths>${measure.fifths}</fifths><mode>${measure.mode}</mode></key>`);
+  }
+  if (isFirst || measure.timeSignature.join('/') !== previous.timeSignature.join('/')) {
+    const [beats, beatType] = measure.timeSignature;
+    parts.push(`        <time><beats>${beats}</beats><beat-type>${beatType}</beat-type></time>`);
+  }
+  if (isFirst) {
+    parts.push(
+      '        <staves>2</staves>',
+      '        <clef number="1"><sign>G</sign><line>2</line></clef>',
+      '        <clef number="2"><sign>F</sign><line>4</line></clef>'
+    );
+  }
+
+  if (parts.length === 0) return [];
+  return ['      <attributes>', ...parts, '      </attributes>'];
+}
+
+/**
+ * Tempo markings for the tempo changes falling in a measure
+ * @returns {Array} - XML lines
+ */
+function measureTempo(header, measure, unitTicks) {
+  return header.tempos
+    .filter(tempo => {
+      const units = Math.round(tempo.ticks / unitTicks);
+      return units >= measure.start && units < measure.end;
+    })
+    .map(tempo => {
+      const bpm = Math.round(tempo.bpm * 100) / 100;
+      return [
+        '      <direction placement="above">',
+        '        <direction-type>',
+        `          <metronome><beat-unit>quarter</beat-unit><per-minute>${bpm}</per-minute></metronome>`,
+        '        </direction-type>',
+        `        <sound tempo="${bpm}"/>`,
+        '      </direction>'
+      ].join('\n');
+    });
+}
+
+/**
+ * Render one voice of one staff within a measure, filling gaps with rests
+ * and splitting chords at the barline and into written values with ties
+ * @param {Array} chords - Chords of the voice overlapping the measure
+ * @param {Object} measure - Measure being rendered
+ * @param {number} staffNumber - Staff number
+ * @param {number} voiceNumber - Voice number
+ * @returns {Array} - XML lines
+ */
+function renderVoice(chords, measure, staffNumber, voiceNumber) {
+  const lines = [];
+  const context = { staff: staffNumber, voice: voiceNumber, fifths: measure.fifths };
+
+  if (chords.length === 0) {
+    lines.push(
+      '      <note>',
+      '        <rest measure="yes"/>',
+      `        <duration>${measure.length}</duration>`,
+      `        <voice>${voiceNumber}</voice>`,
+      `        <staff>${staffNumber}</staff>`,
+      '      </note>'
+    );
+    return lines;
+  }
+
+  let position = measure.start;
+  chords.forEach(chord => {
+    const start = Math.max(chord.start, measure.start);
+    const end = Math.min(chord.end, measure.end);
+
+    if (start > position) {
+      splitLength(start - position).forEach(value => lines.push(...renderRest(value, context)));
+    }
+
+    const values = splitLength(end - start);
+    values.forEach((value, index) => {
+      const tieStart = index < values.length - 1 || chord.end > measure.end;
+      const tieStop = index > 0 || chord.start < measure.start;
+      lines.push(...renderChord(chord.pitches, value, context, tieStart, tieStop));
+    });
+    position = end;
+  });
+
+  if (position < measure.end) {
+    splitLength(measure.end - position).forEach(value => lines.push(...renderRest(value, context)));
+  }
+
+  return lines;
+}
+
+/**
+ * Break a length into written note values, longest first
+ * @param {number} length - Length in grid positions
+ * @returns {Array} - Note values from NOTE_VALUES
+ */
+function splitLength(length) {
+  const values = [];
+  let remaining = length;
+  while (remaining > 0) {
+    const value = NOTE_VALUES.find(candidate => candidate.length <= remaining);
+    values.push(value);
+    remaining -= value.length;
+  }
+  return values;
+}
+
+function renderRest(value, context) {
+  return [
+    '      <note>',
+    '        <rest/>',
+    `        <duration>${value.length}</duration>`,
+    `        <voice>${context.voice}</voice>`,
+    `        <type>${value.type}</type>`,
+    ...Array(value.dots).fill('        <dot/>'),
+    `        <staff>${context.staff}</staff>`,
+    '      </note>'
+  ];
+}
+
+function renderChord(pitches, value, context, tieStart, tieStop) {
+  const lines = [];
+
+  pitches.forEach((midi, index) => {
+    const { step, alter, octave } = spellPitch(midi, context.fifths);
+    const ties = [];
+    if (tieStop) ties.push('stop');
+    if (tieStart) ties.push('start');
+
+    lines.push('      <note>');
+    if (index > 0) lines.push('        <chord/>');
+    lines.push(
+      '        <pitch>',
+      `          <step>${step}</step>`,
+      ...(alter !== 0 ? [`          <alter>${alter}</alter>`] : []),
+      `          <octave>${octave}</octave>`,
+      '        </pitch>',
+      `        <duration>${value.length}</duration>`,
+      ...ties.map(type => `        <tie type="${type}"/>`),
+      `        <voice>${context.voice}</voice>`,
+      `        <type>${value.type}</type>`,
+      ...Array(value.dots).fill('        <dot/>'),
+      `        <staff>${context.staff}</staff>`
+    );
+    if (ties.length > 0) {
+      lines.push(
+        '        <notations>',
+        ...ties.map(type => `          <tied type="${type}"/>`),
+        '        </notations>'
+      );
+    }
+    lines.push('      </note>');
+  });
+
+  return lines;
+}
+
+/**
+ * Spell a MIDI pitch for a key signature. Pitches in the key use the key's
+ * own spelling (so F# major gets E#, Gb major gets Cb); others are written
+ * natural where possible, otherwise with sharps in sharp keys and flats in
+ * flat keys.
+ * @param {number} midi - MIDI note number
+ * @param {number} fifths - Key signature in fifths
+ * @returns {Object} - { step, alter, octave }
+ */
+function spellPitch(midi, fifths) {
+  const pitchClass = midi % 12;
+
+  const alters = {};
+  LETTERS.forEach(letter => { alters[letter] = 0; });
+  if (fifths > 0) SHARP_ORDER.slice(0, fifths).forEach(letter => { alters[letter] = 1; });
+  if (fifths < 0) FLAT_ORDER.slice(0, -fifths).forEach(letter => { alters[letter] = -1; });
+
+  let step = LETTERS.find(letter =>
+    (LETTER_PITCH_CLASSES[letter] + alters[letter] + 12) % 12 === pitchClass
+  );
+  let alter = step ? alters[step] : 0;
+
+  if (!step) {
+    step = LETTERS.find(letter => LETTER_PITCH_CLASSES[letter] === pitchClass);
+    alter = 0;
+  }
+  if (!step) {
+    const useFlats = fifths < 0;
+    step = LETTERS.find(letter =>
+      (LETTER_PITCH_CLASSES[letter] + (useFlats ? -1 : 1) + 12) % 12 === pitchClass
+    );
+    alter = useFlats ? -1 : 1;
+  }
+
+  // Cb and B# belong to the neighbouring octave in MIDI numbering
+  const octave = Math.floor((midi - alter) / 12) - 1;
+  return { step, alter, octave };
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  createMusicXml,
+  spellPitch
+};
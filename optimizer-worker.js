@@ -0,0 +1,38 @@
+/**
+ * Optimizer Worker
+ *
+ * Runs optimizeMidi in a worker thread, so several files can be optimized
+ * in parallel and the main thread stays responsive. Each message is one
+ * task: { input, options, musicXml, progress } in, { result } or { error }
+ * out. With progress set, { progress: { stage, percent } } messages are
+ * posted as the optimizer finishes each stage.
+ */
+
+const { parentPort } = require('worker_threads');
+const { optimizeMidi } = require('./piano-midi-optimizer');
+const { createMusicXml } = require('./musicxml-export');
+
+parentPort.on('message', async task => {
+  try {
+    const onProgress = task.progress
+      ? progress => parentPort.postMessage({ progress })
+      : null;
+    const { output, midi, arrangement, draftArrangement, report, fingeringSidecar } =
+      await optimizeMidi(task.input, { ...task.options, onProgress });
+
+    parentPort.postMessage({
+      result: {
+        output,
+        arrangement,
+        draftArrangement,
+        report,
+        fingeringSidecar,
+        musicXml: task.musicXml
+          ? createMusicXml(midi.header, arrangement, { title: task.musicXml.title })
+          : null
+      }
+    });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
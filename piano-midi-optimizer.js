@@ -9,114 +9,409 @@
  */
 
 // Let's use the Tone.js library for MIDI processing
-const fs = require('fs');
-const path = require('path');
 const { Midi } = require('@tonejs/midi');
+const { extractMelody, extractBassLine, groupByOnset } = require('./voice-extraction');
+const { createLogger, silentLogger } = require('./logger');
+const { DEFAULT_OPTIONS, resolveOptions } = require('./config-schema');
+const { suggestFingerings, createFingeringLyrics, createFingeringSidecar } = require('./fingering');
+const { analyzePlayability } = require('./playability');
+const { recognizeChords, createAccompaniment, createChordMarkers } = require('./chords');
+const { balanceDynamics } = require('./dynamics');
+const { TIME_EPSILON } = require('./timing');
+const { detectKey, resolveTransposition, transposeKeySignatures, describeKey, encodeMidi } = require('./key-signatures');
+
+// Notes on the same key starting this close together (in seconds) are one
+// note struck by several tracks
+const UNISON_TOLERANCE = 0.03;
+
+// How much a note's track role protects it from polyphony reduction
+const ROLE_WEIGHTS = { melody: 2, bass: 1 };
+
+// Roles a track can be forced into with trackOverrides; ignored tracks are
+// left out like excluded ones
+const TRACK_ROLES = ['melody', 'bass', 'harmony', 'ignore'];
+
+// Controller numbers carried over from the source tracks
+const CC_VOLUME = 7;
+const CC_EXPRESSION = 11;
+const CC_SUSTAIN = 64;
+
+// Seconds between lifting and re-pressing a synthesized pedal
+const PEDAL_LAG = 0.05;
+
+// Percent of the work done once each stage finishes, for onProgress
+const PROGRESS_STAGES = {
+  parse: 5,
+  analyze: 20,
+  arrange: 40,
+  cleanup: 55,
+  simplify: 65,
+  limit: 80,
+  fingering: 90,
+  generate: 100
+};
+
+// Keyboards by number of keys, as MIDI note numbers
+const KEYBOARD_RANGES = {
+  88: { low: 21, high: 108 }, // A0-C8
+  76: { low: 28, high: 103 }, // E1-G7
+  61: { low: 36, high: 96 },  // C2-C7
+  49: { low: 36, high: 84 }   // C2-C6
+};
+
+// Folding a melody or bass note may not turn a step into a leap the other
+// way wider than this (semitones); notes further apart than LINE_GAP
+// (seconds) aren't treated as neighbours in a line
+const LINE_LEAP = 7;
+const LINE_GAP = 0.5;
+
+// How each difficulty level simplifies the arrangement. Note limits cap the
+// configured per-hand limits; the grid is in divisions of a quarter note.
+const DIFFICULTY_LEVELS = {
+  beginner: {
+    maxNotesPerHand: 2,
+    melodyOnly: true,
+    rootsOnly: true,
+    gridDivision: 1,
+    rightRange: [60, 79], // C4-G5
+    leftRange: [43, 59]   // G2-B3
+  },
+  intermediate: {
+    maxNotesPerHand: 3,
+    thinChords: true,
+    brokenChords: true,
+    gridDivision: 2,
+    rightRange: [53, 88], // F3-E6
+    leftRange: [33, 64]   // A1-E4
+  },
+  advanced: {
+    maxNotesPerHand: 5
+  },
+  original: {}
+};
+
+/**
+ * Optimize MIDI data for piano playing, entirely in memory.
+ * Nothing is read from or written to disk and nothing is printed unless a
+ * logger or log level is passed in the options, so this works in services
+ * and in the browser alike.
+ * @param {Buffer|Uint8Array|ArrayBuffer|Midi} input - MIDI file bytes or an
+ *   already parsed Midi
+ * @param {Object} options - Optional configuration options (see
+ *   config-schema), optionally with a `preset`; `logger` and `logLevel`
+ *   control logging (see createLogger)
+ * @returns {Promise<Object>} - { output, midi, arrangement, report } with
+ *   the optimized file bytes, the generated Midi, the final hand parts and
+ *   the statistics of every stage, plus `fingeringSidecar` when
+ *   fingeringOutput is 'sidecar'. `draftArrangement` holds the hand parts
+ *   before the polyphony and hand span limits, for previews that apply
+ *   other limits.
+ */
+async function optimizeMidi(input, options = {}) {
+  const config = resolveOptions(options);
+  config.logger = createLogger(options);
+  const logger = config.logger;
+  const progress = stage => {
+    if (config.onProgress) config.onProgress({ stage, percent: PROGRESS_STAGES[stage] });
+  };
+  
+  const level = DIFFICULTY_LEVELS[config.difficulty];
+  if (!level) {
+    throw new Error(`Unknown difficulty "${config.difficulty}". Expected one of: ${Object.keys(DIFFICULTY_LEVELS).join(', ')}`);
+  }
+  if (level.maxNotesPerHand) {
+    config.maxRightHandNotes = Math.min(config.maxRightHandNotes, level.maxNotesPerHand);
+    config.maxLeftHandNotes = Math.min(config.maxLeftHandNotes, level.maxNotesPerHand);
+  }
+
+  const midi = parseMidiInput(input);
+  config.trackOverrides = normalizeTrackOverrides(config.trackOverrides, midi.tracks.length);
+  progress('parse');
+  logger.info('Parsed MIDI data:', {
+    name: midi.name,
+    duration: midi.duration,
+    trackCount: midi.tracks.length
+  });
+  
+  // Log each track's details
+  midi.tracks.forEach((track, index) => {
+    logger.debug(`Track ${index}:`, {
+      name: track.name,
+      noteCount: track.notes.length,
+      instrument: track.instrument?.family
+    });
+  });
+  
+  // Take the key from the key signatures, or else from the notes, and
+  // work out where to move it
+  const pitchedNotes = midi.tracks.filter(track => track.channel !== 9).flatMap(track => track.notes);
+  // Signatures with an unreadable key, as older versions of this tool
+  // wrote them, count as missing
+  const fileKeys = midi.header.keySignatures.filter(signature => signature.key);
+  const detectedKey = fileKeys.length === 0 ? detectKey(pitchedNotes) : null;
+  const sourceKeys = detectedKey
+    ? [{ key: detectedKey.key, scale: detectedKey.scale, ticks: 0 }]
+    : fileKeys;
+  const transpose = resolveTransposition(config.transpose, sourceKeys, pitchedNotes,
+    resolveKeyboardRange(config.keyboardRange));
+  const outputKeys = transposeKeySignatures(sourceKeys, transpose);
+  if (sourceKeys.length > 0) {
+    logger.info(`Key: ${describeKey(sourceKeys[0])}${detectedKey ? ' (detected)' : ''}` +
+      (transpose ? `, moved ${transpose} semitones to ${describeKey(outputKeys[0])}` : ''));
+  }
+  
+  // Analyze tracks
+  const analyzedTracks = analyzeMidiTracks(midi, logger, config.trackOverrides, transpose);
+  logger.info('Analyzed tracks:', analyzedTracks.map(track => ({
+    role: track.trackRole,
+    avgPitch: track.avgPitch,
+    noteCount: track.noteCount
+  })));
+  progress('analyze');
+  
+  // Follow the local register with a time-varying split point
+  const splitCurve = config.dynamicSplitPoint
+    ? computeSplitCurve(analyzedTracks, midi.header, midi.duration, config)
+    : null;
+  if (splitCurve) {
+    logger.debug('Split curve:', splitCurve.map(point => point.splitPoint).join(' '));
+  }
+  
+  // Create piano arrangement
+  const pianoArrangement = createPianoArrangement(analyzedTracks, config, splitCurve);
+  logger.info('Piano arrangement:', {
+    rightHandNotes: pianoArrangement.rightHand.length,
+    leftHandNotes: pianoArrangement.leftHand.length
+  });
+  
+  // Name the chords, and in lead-sheet mode let the left hand play them
+  const chords = config.chordSymbols || config.accompaniment !== 'source'
+    ? recognizeChords(analyzedTracks, midi.header, midi.duration)
+    : [];
+  const accompaniedArrangement = config.accompaniment === 'source'
+    ? pianoArrangement
+    : createLeadSheetArrangement(pianoArrangement, chords, midi.header, midi.duration, config);
+  progress('arrange');
+  
+  // Merge notes doubled by several tracks
+  const consolidatedArrangement = config.consolidateTracks
+    ? consolidateNotes(accompaniedArrangement, config)
+    : accompaniedArrangement;
+  
+  // Tidy up ragged timing and duplicate keys
+  const cleanArrangement = cleanupArrangement(consolidatedArrangement, midi.header, config);
+  progress('cleanup');
+  
+  // Simplify for the chosen difficulty
+  const simplifiedArrangement = simplifyArrangement(cleanArrangement, midi.header, config);
+  
+  // Fold everything onto the player's keyboard
+  const fittedArrangement = fitKeyboardRange(simplifiedArrangement, config);
+  
+  // Even out the merged tracks and let the melody sing over the rest
+  const measureStarts = getMeasureStartTimes(midi.header, midi.duration);
+  const balancedArrangement = config.balanceDynamics
+    ? balanceDynamics(fittedArrangement, config, measureStarts)
+    : fittedArrangement;
+  if (config.balanceDynamics) {
+    logger.info('Dynamics:', balancedArrangement.stats);
+  }
+  progress('simplify');
+  
+  // Enforce the per-hand polyphony limits
+  const limitedArrangement = optimizeSimultaneousNotes(balancedArrangement, config);
+  
+  // Make every chord fit within one hand's reach
+  const playableArrangement = enforceHandSpan(limitedArrangement, config);
+  progress('limit');
+  
+  // Check the result for anything a player still couldn't manage
+  const playability = analyzePlayability(playableArrangement, config, measureStarts);
+  logger.info(`Difficulty: ${playability.difficulty}/10 (${playability.level})`);
+  if (!playability.playable) {
+    logger.warn('Unplayable passages in measures:', playability.measures.map(entry => entry.measure).join(', '));
+  }
+  
+  // Suggest fingers for both hands
+  const fingerings = config.fingering ? suggestFingerings(playableArrangement) : null;
+  if (fingerings) {
+    playableArrangement.rightHand.forEach((note, index) => {
+      note.finger = fingerings.rightHand[index];
+    });
+    playableArrangement.leftHand.forEach((note, index) => {
+      note.finger = fingerings.leftHand[index];
+    });
+    logger.info('Fingering cost:', fingerings.cost);
+  }
+  progress('fingering');
+  
+  // Carry the pedal and other controllers over to the piano tracks
+  const controls = config.preserveControlChanges || config.synthesizePedal
+    ? collectControlChanges(midi, playableArrangement, config)
+    : null;
+  
+  // Generate new MIDI
+  const outputMidi = generatePianoMidi(midi.header, playableArrangement, controls, logger, outputKeys);
+  if (config.chordSymbols && chords.length > 0) {
+    outputMidi.header.meta = [...outputMidi.header.meta, ...createChordMarkers(chords, outputMidi.header)];
+  }
+  if (fingerings && config.fingeringOutput === 'lyrics') {
+    outputMidi.header.meta = [
+      ...outputMidi.header.meta,
+      ...createFingeringLyrics(playableArrangement, fingerings, outputMidi.header)
+    ];
+  }
+  const output = encodeMidi(outputMidi);
+  progress('generate');
+  
+  return {
+    output,
+    midi: outputMidi,
+    arrangement: {
+      rightHand: playableArrangement.rightHand,
+      leftHand: playableArrangement.leftHand
+    },
+    draftArrangement: {
+      rightHand: balancedArrangement.rightHand,
+      leftHand: balancedArrangement.leftHand
+    },
+    report: {
+      originalTracks: midi.tracks.length,
+      rightHandNotes: playableArrangement.rightHand.length,
+      leftHandNotes: playableArrangement.leftHand.length,
+      duration: midi.duration,
+      tracks: analyzedTracks.map(track => ({
+        index: track.index,
+        name: track.name,
+        role: track.trackRole,
+        avgPitch: track.avgPitch,
+        noteCount: track.noteCount,
+        melodyShare: track.melodyShare
+      })),
+      bassShifted: pianoArrangement.bassShifted,
+      chords: chords.map(chord => ({ time: chord.time, duration: chord.duration, symbol: chord.symbol })),
+      consolidation: consolidatedArrangement.stats || null,
+      cleanup: cleanArrangement.stats,
+      simplification: simplifiedArrangement.stats,
+      keyboardRange: fittedArrangement.stats,
+      polyphony: limitedArrangement.stats,
+      handSpan: playableArrangement.stats,
+      dynamics: config.balanceDynamics ? balancedArrangement.stats : null,
+      pedal: controls ? { events: controls.pedal.length, synthesized: controls.pedalSynthesized } : null,
+      fingering: fingerings ? { cost: fingerings.cost, output: config.fingeringOutput } : null,
+      playability,
+      key: sourceKeys.length > 0 ? {
+        from: describeKey(sourceKeys[0]),
+        to: describeKey(outputKeys[0]),
+        transpose,
+        detected: Boolean(detectedKey),
+        confidence: detectedKey ? detectedKey.confidence : null
+      } : null,
+      splitCurve
+    },
+    fingeringSidecar: fingerings && config.fingeringOutput === 'sidecar'
+      ? createFingeringSidecar(playableArrangement, fingerings, outputMidi.header)
+      : null
+  };
+}
 
 /**
  * Main function to optimize a MIDI file for piano playing
  * @param {string} inputFilePath - Path to the input MIDI file
  * @param {string} outputFilePath - Path to save the optimized MIDI file
  * @param {Object} options - Optional configuration options
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} - The optimization report
  */
 async function optimizeMidiForPiano(inputFilePath, outputFilePath, options = {}) {
-  const defaultOptions = {
-    maxRightHandNotes: 12, // Increased from 4 to 12
-    maxLeftHandNotes: 10,  // Increased from 3 to 10
-    splitPoint: 60,       // Middle C (C4) - initial split point between hands
-    dynamicSplitPoint: true, // Whether to adjust split point dynamically
-    preserveMelody: true, // Whether to prioritize melody in right hand
-    preserveBass: true,   // Whether to prioritize bass in left hand
-  };
-
-  const config = { ...defaultOptions, ...options };
+  // Required here so the in-memory API stays usable without a filesystem
+  const fs = require('fs');
+  const logger = createLogger(options);
   
   try {
-    // Read and parse the MIDI file
     const midiData = fs.readFileSync(inputFilePath);
-    console.log('Read MIDI file:', inputFilePath);
-    
-    const midi = new Midi(midiData);
-    console.log('Parsed MIDI data:', {
-      name: midi.name,
-      duration: midi.duration,
-      trackCount: midi.tracks.length
-    });
-    
-    // Log each track's details
-    midi.tracks.forEach((track, index) => {
-      console.log(`Track ${index}:`, {
-        name: track.name,
-        noteCount: track.notes.length,
-        instrument: track.instrument?.family
-      });
-    });
-    
-    // Analyze tracks
-    const analyzedTracks = analyzeMidiTracks(midi);
-    console.log('Analyzed tracks:', analyzedTracks.map(track => ({
-      role: track.trackRole,
-      avgPitch: track.avgPitch,
-      noteCount: track.noteCount
-    })));
+    logger.info('Read MIDI file:', inputFilePath);
     
-    // Create piano arrangement
-    const pianoArrangement = createPianoArrangement(analyzedTracks, config);
-    console.log('Piano arrangement:', {
-      rightHandNotes: pianoArrangement.rightHand.length,
-      leftHandNotes: pianoArrangement.leftHand.length
-    });
-    
-    // Generate new MIDI
-    const outputMidi = generatePianoMidi(midi.header, pianoArrangement);
+    const { output, report } = await optimizeMidi(midiData, options);
     
-    // Save the optimized MIDI
-    fs.writeFileSync(outputFilePath, Buffer.from(outputMidi.toArray()));
-    console.log(`Saved optimized MIDI to: ${outputFilePath}`);
+    fs.writeFileSync(outputFilePath, Buffer.from(output));
+    logger.info(`Saved optimized MIDI to: ${outputFilePath}`);
     
-    return {
-      originalTracks: midi.tracks.length,
-      rightHandNotes: pianoArrangement.rightHand.length,
-      leftHandNotes: pianoArrangement.leftHand.length,
-      duration: midi.duration
-    };
+    return report;
   } catch (error) {
-    console.error('Error in optimizeMidiForPiano:', error);
+    logger.error('Error in optimizeMidiForPiano:', error);
     throw error;
   }
 }
 
+/**
+ * Parse the input of optimizeMidi into a Midi
+ * @param {Buffer|Uint8Array|ArrayBuffer|Midi} input - MIDI data
+ * @returns {Midi} - The parsed MIDI file
+ */
+function parseMidiInput(input) {
+  if (input instanceof Midi) return input;
+  if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+    try {
+      return new Midi(input);
+    } catch (error) {
+      // The parser throws plain strings for malformed files
+      throw new Error(`Not a valid MIDI file: ${error.message || error}`);
+    }
+  }
+  throw new TypeError('Expected MIDI data as a Buffer, Uint8Array, ArrayBuffer or Midi');
+}
+
 /**
  * Analyze all tracks in the MIDI file to determine their characteristics
  * @param {Midi} midi - The parsed MIDI file
+ * @param {Object} [logger] - Logger from createLogger
+ * @param {Object} [trackOverrides] - Normalized per-track settings
+ * @param {number} [transpose] - Semitones to move every pitched track
  * @returns {Array} - Array of analyzed tracks with characteristics
  */
-function analyzeMidiTracks(midi) {
+function analyzeMidiTracks(midi, logger = silentLogger, trackOverrides = {}, transpose = 0) {
   const analyzedTracks = [];
   
-  console.log('\nAnalyzing tracks:');
+  logger.debug('Analyzing tracks:');
   let totalNotes = 0;
   
   midi.tracks.forEach((track, index) => {
-    // Skip empty tracks or drum tracks
-    if (track.notes.length === 0 || track.channel === 9) {
-      console.log(`Skipping track ${index}: ${track.notes.length === 0 ? 'empty' : 'drums'}`);
+    const override = trackOverrides[index] || {};
+    if (isTrackExcluded(override)) {
+      logger.debug(`Skipping track ${index}: excluded`);
+      return;
+    }
+    
+    // Skip empty tracks, and drum tracks unless given a role or hand
+    const drums = track.channel === 9 && !override.role && !override.hand;
+    if (track.notes.length === 0 || drums) {
+      logger.debug(`Skipping track ${index}: ${track.notes.length === 0 ? 'empty' : 'drums'}`);
       return;
     }
     
     // Log the first note of each track for debugging
     if (track.notes.length > 0) {
-      console.log(`Sample note from track ${index}:`, track.notes[0]);
+      logger.debug(`Sample note from track ${index}:`, track.notes[0]);
     }
     
     totalNotes += track.notes.length;
     
+    // Create deep copies of the notes, moved by the requested octaves and
+    // into the requested key; drum sounds stay where they are
+    const shift = (override.transpose || 0) * 12 + (track.channel === 9 ? 0 : transpose);
+    const notesCopy = track.notes.map(note => ({
+      midi: shift ? shiftIntoRange(note.midi + shift, 0, 127) : note.midi,
+      time: note.time,
+      duration: note.duration,
+      velocity: note.velocity || 64
+    }));
+    
     // Gather statistics about the track
-    const pitches = track.notes.map(note => note.midi);
+    const pitches = notesCopy.map(note => note.midi);
     const avgPitch = pitches.reduce((sum, pitch) => sum + pitch, 0) / pitches.length;
     
-    // Determine if the track is likely melody, bass, or harmony
+    // First guess at whether the track is melody, bass, or harmony;
+    // refined once the melody has been traced note by note
     let trackRole = 'unknown';
     if (avgPitch > 65) {
       trackRole = 'melody';
@@ -126,30 +421,189 @@ function analyzeMidiTracks(midi) {
       trackRole = 'harmony';
     }
     
-    // Create deep copies of the notes
-    const notesCopy = track.notes.map(note => ({
-      midi: note.midi,
-      time: note.time,
-      duration: note.duration,
-      velocity: note.velocity || 64
-    }));
-    
     analyzedTracks.push({
       index,
       name: track.name || `Track ${index}`,
       notes: notesCopy,
       avgPitch,
-      trackRole,
+      trackRole: override.role || trackRole,
+      roleForced: Boolean(override.role),
+      hand: override.hand || null,
       noteCount: track.notes.length
     });
     
-    console.log(`Track ${index}: ${track.name || 'Unnamed'} - ${trackRole}, avg pitch: ${avgPitch.toFixed(1)}, notes: ${track.notes.length}`);
+    logger.debug(`Track ${index}: ${track.name || 'Unnamed'} - ${trackRole}, avg pitch: ${avgPitch.toFixed(1)}, notes: ${track.notes.length}`);
   });
   
-  console.log(`Total notes from all tracks: ${totalNotes}`);
+  logger.debug(`Total notes from all tracks: ${totalNotes}`);
+  
+  markMelodyNotes(analyzedTracks, logger);
+  markBassNotes(analyzedTracks, logger);
   return analyzedTracks;
 }
 
+/**
+ * Find the melody note by note across all tracks and flag those notes with
+ * `melody: true`. Track roles guessed from the average pitch are then
+ * corrected: a track carrying most of the melody becomes the melody track,
+ * and a high track that hardly ever carries it becomes harmony.
+ * @param {Array} analyzedTracks - Array of analyzed tracks
+ * @param {Object} logger - Logger from createLogger
+ */
+function markMelodyNotes(analyzedTracks, logger) {
+  const candidates = [];
+  analyzedTracks.forEach(track => {
+    track.notes.forEach(note => {
+      candidates.push({ ...note, track: track.index, trackRole: track.trackRole, source: note });
+    });
+  });
+
+  const melody = extractMelody(candidates);
+  melody.forEach(note => {
+    note.source.melody = true;
+  });
+
+  analyzedTracks.forEach(track => {
+    const melodyNotes = track.notes.filter(note => note.melody).length;
+    track.melodyShare = melodyNotes / track.notes.length;
+
+    if (track.roleForced) {
+      return;
+    } else if (track.melodyShare >= 0.5) {
+      track.trackRole = 'melody';
+    } else if (track.trackRole === 'melody' && track.melodyShare < 0.1) {
+      track.trackRole = 'harmony';
+    }
+  });
+
+  logger.debug(`Melody: ${melody.length} notes`, analyzedTracks.map(track => ({
+    track: track.index,
+    role: track.trackRole,
+    melodyShare: track.melodyShare.toFixed(2)
+  })));
+}
+
+/**
+ * Describe a MIDI file without arranging it: the tempo map, time and key
+ * signatures, and for every track the role the optimizer would give it,
+ * its range and its polyphony. Meant for inspecting and triaging files.
+ * @param {Buffer|Uint8Array|ArrayBuffer|Midi} input - MIDI file bytes or an
+ *   already parsed Midi
+ * @returns {Object} - { name, duration, ppq, maxPolyphony, tempos,
+ *   timeSignatures, keySignatures, tracks } with times in seconds
+ */
+function analyzeMidi(input) {
+  const midi = parseMidiInput(input);
+  const tracks = describeTracks(midi);
+  const pitched = midi.tracks.filter(track => track.channel !== 9);
+
+  return {
+    name: midi.name,
+    duration: midi.duration,
+    ppq: midi.header.ppq,
+    maxPolyphony: calculateMaxPolyphony(pitched.flatMap(track => track.notes)),
+    tempos: midi.header.tempos.map(tempo => ({
+      time: midi.header.ticksToSeconds(tempo.ticks),
+      bpm: tempo.bpm
+    })),
+    timeSignatures: midi.header.timeSignatures.map(signature => ({
+      time: midi.header.ticksToSeconds(signature.ticks),
+      timeSignature: signature.timeSignature
+    })),
+    keySignatures: midi.header.keySignatures.map(signature => ({
+      time: midi.header.ticksToSeconds(signature.ticks),
+      key: signature.key,
+      scale: signature.scale
+    })),
+    tracks
+  };
+}
+
+/**
+ * List the tracks of a MIDI file with the role each would be given, so
+ * trackOverrides can be chosen before optimizing
+ * @param {Buffer|Uint8Array|ArrayBuffer|Midi} input - MIDI file bytes or an
+ *   already parsed Midi
+ * @returns {Array} - Array of { index, name, instrument, channel, noteCount,
+ *   avgPitch, role, skipped, range, maxPolyphony, duration } for every
+ *   track; skipped is 'empty' or 'drums' for tracks left out unless
+ *   overridden, with role 'ignore'. range is { low, high } or null.
+ */
+function describeTracks(input) {
+  const midi = parseMidiInput(input);
+  const analyzed = new Map(analyzeMidiTracks(midi).map(track => [track.index, track]));
+
+  return midi.tracks.map((track, index) => {
+    const analysis = analyzed.get(index);
+    // A long track has too many notes to spread into Math.min/max
+    const range = track.notes.reduce((found, note) => ({
+      low: Math.min(found.low, note.midi),
+      high: Math.max(found.high, note.midi)
+    }), { low: Infinity, high: -Infinity });
+    return {
+      index,
+      name: track.name || `Track ${index}`,
+      instrument: track.instrument.name,
+      channel: track.channel,
+      noteCount: track.notes.length,
+      avgPitch: analysis ? analysis.avgPitch : null,
+      role: analysis ? analysis.trackRole : 'ignore',
+      skipped: analysis ? null : track.notes.length === 0 ? 'empty' : 'drums',
+      range: track.notes.length > 0 ? range : null,
+      maxPolyphony: calculateMaxPolyphony(track.notes),
+      duration: track.duration
+    };
+  });
+}
+
+/**
+ * Check and fill in the per-track overrides
+ * @param {Object} trackOverrides - Settings keyed by track index, each with
+ *   optional exclude (boolean), role (melody, bass, harmony or ignore),
+ *   hand (right or left) and transpose (whole octaves)
+ * @param {number} trackCount - Number of tracks in the MIDI file
+ * @returns {Object} - Overrides keyed by numeric track index
+ */
+function normalizeTrackOverrides(trackOverrides, trackCount) {
+  const normalized = {};
+
+  Object.entries(trackOverrides || {}).forEach(([key, override]) => {
+    const index = Number(key);
+    const fail = message => {
+      throw new Error(`Invalid override for track ${key}: ${message}`);
+    };
+
+    if (!Number.isInteger(index) || index < 0 || index >= trackCount) {
+      fail(`the file has tracks 0-${trackCount - 1}`);
+    }
+    if (!override || typeof override !== 'object') {
+      fail('expected an object with exclude, role, hand or transpose');
+    }
+    if (override.role !== undefined && !TRACK_ROLES.includes(override.role)) {
+      fail(`unknown role "${override.role}". Expected one of: ${TRACK_ROLES.join(', ')}`);
+    }
+    if (override.hand !== undefined && !['right', 'left'].includes(override.hand)) {
+      fail(`unknown hand "${override.hand}". Expected right or left`);
+    }
+    if (override.transpose !== undefined && !Number.isInteger(override.transpose)) {
+      fail(`transpose must be a whole number of octaves, got "${override.transpose}"`);
+    }
+
+    normalized[index] = {
+      exclude: Boolean(override.exclude),
+      role: override.role,
+      hand: override.hand,
+      transpose: override.transpose || 0
+    };
+  });
+
+  return normalized;
+}
+
+function isTrackExcluded(override) {
+  return Boolean(override && (override.exclude || override.role === 'ignore'));
+}
+
 /**
  * Calculate the maximum number of simultaneous notes in a track
  * @param {Array} notes - Array of note objects
@@ -164,7 +618,9 @@ function calculateMaxPolyphony(notes) {
     events.push({ time: note.time + note.duration, type: 'noteOff' });
   });
   
-  events.sort((a, b) => a.time - b.time);
+  // Notes ending where others start don't overlap them
+  events.sort((a, b) => a.time - b.time ||
+    (a.type === 'noteOff' ? 0 : 1) - (b.type === 'noteOff' ? 0 : 1));
   
   // Count active notes
   let activeNotes = 0;
@@ -183,14 +639,209 @@ function calculateMaxPolyphony(notes) {
   return maxPolyphony;
 }
 
+/**
+ * Find the lowest functional line over time across all tracks and flag
+ * those notes with `bass: true`. Melody notes are never part of the bass.
+ * @param {Array} analyzedTracks - Array of analyzed tracks
+ * @param {Object} logger - Logger from createLogger
+ */
+function markBassNotes(analyzedTracks, logger) {
+  const candidates = [];
+  analyzedTracks.forEach(track => {
+    track.notes.forEach(note => {
+      if (note.melody) return;
+      candidates.push({ ...note, track: track.index, trackRole: track.trackRole, source: note });
+    });
+  });
+
+  const bassLine = extractBassLine(candidates);
+  bassLine.forEach(note => {
+    note.source.bass = true;
+  });
+
+  logger.debug(`Bass line: ${bassLine.length} notes`);
+}
+
+/**
+ * Shift a note by octaves into a range. Ranges narrower than an octave
+ * leave notes that can't be shifted into them as close as possible.
+ * @param {number} midi - MIDI note number
+ * @param {number} low - Lowest note of the range
+ * @param {number} high - Highest note of the range
+ * @returns {number} - Shifted MIDI note number
+ */
+function shiftIntoRange(midi, low, high) {
+  let pitch = midi;
+  while (pitch > high && pitch - 12 >= low) {
+    pitch -= 12;
+  }
+  while (pitch < low && pitch + 12 <= high) {
+    pitch += 12;
+  }
+  return pitch;
+}
+
+/**
+ * Compute the start time of every measure from the header's time signatures
+ * @param {Object} header - Original MIDI header
+ * @param {number} duration - Length of the piece in seconds
+ * @returns {Array} - Array of measure start times in seconds
+ */
+function getMeasureStartTimes(header, duration) {
+  const timeSignatures = header.timeSignatures.length > 0
+    ? [...header.timeSignatures].sort((a, b) => a.ticks - b.ticks)
+    : [{ ticks: 0, timeSignature: [4, 4] }];
+  const endTicks = header.secondsToTicks(duration);
+  const starts = [];
+
+  let ticks = 0;
+  timeSignatures.forEach((signature, index) => {
+    const [numerator, denominator] = signature.timeSignature;
+    const measureTicks = header.ppq * 4 * numerator / denominator;
+    const next = timeSignatures[index + 1];
+    const until = next ? next.ticks : endTicks;
+
+    ticks = Math.max(ticks, signature.ticks);
+    while (ticks < until) {
+      starts.push(header.ticksToSeconds(ticks));
+      ticks += measureTicks;
+    }
+  });
+
+  return starts.length > 0 ? starts : [0];
+}
+
+/**
+ * Compute a time-varying split point that follows the local register.
+ * Each window of measures gets the split that leaves the fewest notes close
+ * to the boundary while keeping the hands balanced. The raw values are then
+ * median-filtered and limited to maxSplitStep semitones per window so the
+ * split doesn't jump back and forth.
+ * @param {Array} analyzedTracks - Array of analyzed tracks
+ * @param {Object} header - Original MIDI header
+ * @param {number} duration - Length of the piece in seconds
+ * @param {Object} config - Configuration options
+ * @returns {Array} - Array of { measure, time, splitPoint } points
+ */
+function computeSplitCurve(analyzedTracks, header, duration, config) {
+  const measureStarts = getMeasureStartTimes(header, duration);
+  const windowSize = Math.max(1, config.splitWindowMeasures);
+  const windows = [];
+  for (let i = 0; i < measureStarts.length; i += windowSize) {
+    windows.push({ measure: i, time: measureStarts[i], pitches: [] });
+  }
+
+  const notes = [];
+  analyzedTracks.forEach(track => notes.push(...track.notes));
+  notes.sort((a, b) => a.time - b.time);
+
+  let current = 0;
+  notes.forEach(note => {
+    while (current + 1 < windows.length && windows[current + 1].time <= note.time + TIME_EPSILON) {
+      current++;
+    }
+    windows[current].pitches.push(note.midi);
+  });
+
+  const low = Math.min(config.minSplitPoint, config.maxSplitPoint);
+  const high = Math.max(config.minSplitPoint, config.maxSplitPoint);
+  const clamp = value => Math.min(high, Math.max(low, value));
+
+  // Raw split per window; empty windows inherit their predecessor
+  const raw = [];
+  windows.forEach(window => {
+    if (window.pitches.length === 0) {
+      raw.push(raw.length > 0 ? raw[raw.length - 1] : clamp(config.splitPoint));
+    } else {
+      raw.push(chooseSplitPoint(window.pitches, low, high, config.splitPoint));
+    }
+  });
+
+  const smoothed = raw.map((value, index) => {
+    const neighbours = raw.slice(Math.max(0, index - 1), index + 2).sort((a, b) => a - b);
+    return neighbours[Math.floor(neighbours.length / 2)];
+  });
+
+  let previous = null;
+  return windows.map((window, index) => {
+    let splitPoint = smoothed[index];
+    if (previous !== null) {
+      const step = Math.max(-config.maxSplitStep, Math.min(config.maxSplitStep, splitPoint - previous));
+      splitPoint = previous + step;
+    }
+    previous = splitPoint;
+    return { measure: window.measure, time: window.time, splitPoint };
+  });
+}
+
+/**
+ * Choose the split point for a group of pitches
+ * @param {Array} pitches - MIDI note numbers sounding in the window
+ * @param {number} low - Lowest allowed split point
+ * @param {number} high - Highest allowed split point
+ * @param {number} preferred - Configured split point, used to break ties
+ * @returns {number} - Split point (notes at or above it go to the right hand)
+ */
+function chooseSplitPoint(pitches, low, high, preferred) {
+  let best = preferred;
+  let bestCost = Infinity;
+
+  for (let split = low; split <= high; split++) {
+    let nearby = 0;
+    let below = 0;
+    pitches.forEach(pitch => {
+      if (Math.abs(pitch - split + 0.5) < 2) nearby++;
+      if (pitch < split) below++;
+    });
+    const above = pitches.length - below;
+    const cost = nearby / pitches.length +
+      0.5 * Math.abs(above - below) / pitches.length +
+      0.02 * Math.abs(split - preferred);
+
+    if (cost < bestCost) {
+      bestCost = cost;
+      best = split;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Look up the split point in effect at a given time
+ * @param {Array|null} splitCurve - Split curve from computeSplitCurve
+ * @param {number} time - Time in seconds
+ * @param {number} fallback - Split point to use without a curve
+ * @returns {number} - Split point
+ */
+function getSplitPointAt(splitCurve, time, fallback) {
+  if (!splitCurve || splitCurve.length === 0) return fallback;
+
+  let lo = 0;
+  let hi = splitCurve.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (splitCurve[mid].time <= time + TIME_EPSILON) {
+      lo = mid;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return splitCurve[lo].splitPoint;
+}
+
 /**
  * Create a piano arrangement with right and left hand parts
  * @param {Array} analyzedTracks - Array of analyzed tracks
  * @param {Object} config - Configuration options
+ * @param {Array} [splitCurve] - Time-varying split point; config.splitPoint
+ *   is used throughout when omitted
  * @returns {Object} - Piano arrangement with right and left hand notes
  */
-function createPianoArrangement(analyzedTracks, config) {
-  console.log('\nCreating piano arrangement with config:', config);
+function createPianoArrangement(analyzedTracks, config, splitCurve = null) {
+  const logger = config.logger || silentLogger;
+  const { logger: _, ...settings } = config;
+  logger.debug('Creating piano arrangement with config:', settings);
   
   // Sort tracks by importance
   const sortedTracks = [...analyzedTracks].sort((a, b) => {
@@ -204,10 +855,10 @@ function createPianoArrangement(analyzedTracks, config) {
   // Collect all notes from all tracks
   let allNotes = [];
   sortedTracks.forEach(track => {
-    console.log(`Processing track ${track.index} (${track.trackRole}): ${track.notes.length} notes`);
+    logger.debug(`Processing track ${track.index} (${track.trackRole}): ${track.notes.length} notes`);
     // Log first note of each track
     if (track.notes.length > 0) {
-      console.log(`Sample note from track ${track.index}:`, track.notes[0]);
+      logger.debug(`Sample note from track ${track.index}:`, track.notes[0]);
     }
     
     track.notes.forEach(note => {
@@ -216,192 +867,1259 @@ function createPianoArrangement(analyzedTracks, config) {
         time: note.time,
         duration: note.duration,
         velocity: note.velocity || 64,
-        trackRole: track.trackRole
+        trackRole: track.trackRole,
+        track: track.index,
+        melody: note.melody,
+        bass: note.bass
       });
     });
   });
   
-  console.log(`Total notes collected: ${allNotes.length}`);
+  logger.debug(`Total notes collected: ${allNotes.length}`);
   if (allNotes.length > 0) {
-    console.log('Sample collected note:', allNotes[0]);
+    logger.debug('Sample collected note:', allNotes[0]);
   }
   
   // Initial distribution
   const rightHand = [];
   const leftHand = [];
+  const forcedHands = new Map(analyzedTracks.map(track => [track.index, track.hand]));
+  
+  let bassShifted = 0;
   
   allNotes.forEach((note, index) => {
-    if (note.trackRole === 'melody' || note.midi >= config.splitPoint) {
-      rightHand.push({
-        midi: note.midi,
-        time: note.time,
-        duration: note.duration,
-        velocity: note.velocity || 64
-      });
+    const splitPoint = getSplitPointAt(splitCurve, note.time, config.splitPoint);
+    const forcedHand = forcedHands.get(note.track);
+    if (forcedHand) {
+      // Tracks pinned to a hand stay there, whatever their pitch or role
+      const locked = (config.preserveMelody && note.melody) || (config.preserveBass && note.bass);
+      const pinned = { ...note, fixedHand: true };
+      if (locked) pinned.locked = true;
+      (forcedHand === 'right' ? rightHand : leftHand).push(pinned);
+    } else if (config.preserveMelody && note.melody) {
+      // Keep the melody intact: later passes may not move or drop it
+      rightHand.push({ ...note, locked: true });
+    } else if (config.preserveBass && note.bass) {
+      // The bass line always goes to the left hand, in a comfortable register
+      const midi = shiftIntoRange(note.midi, config.minBassNote, config.maxBassNote);
+      if (midi !== note.midi) bassShifted++;
+      leftHand.push({ ...note, midi, locked: true });
+    } else if (note.midi >= splitPoint) {
+      rightHand.push({ ...note });
     } else {
-      leftHand.push({
-        midi: note.midi,
-        time: note.time,
-        duration: note.duration,
-        velocity: note.velocity || 64
-      });
+      leftHand.push({ ...note });
     }
   });
   
-  console.log('Distribution:', {
+  logger.debug('Distribution:', {
     rightHandNotes: rightHand.length,
     leftHandNotes: leftHand.length,
-    totalNotes: allNotes.length
+    totalNotes: allNotes.length,
+    bassShifted
   });
   
   if (rightHand.length > 0) {
-    console.log('Sample right hand note:', rightHand[0]);
+    logger.debug('Sample right hand note:', rightHand[0]);
   }
   if (leftHand.length > 0) {
-    console.log('Sample left hand note:', leftHand[0]);
+    logger.debug('Sample left hand note:', leftHand[0]);
   }
   
-  return { rightHand, leftHand };
+  return { rightHand, leftHand, bassShifted };
 }
 
-function optimizeSimultaneousNotes(rightHand, leftHand, config) {
-  // Create a deep copy of the input arrays to avoid modifying originals
-  const rightHandCopy = rightHand.map(note => ({...note}));
-  const leftHandCopy = leftHand.map(note => ({...note}));
-  
-  const timeSlices = createTimeSlices([...rightHandCopy, ...leftHandCopy]);
-  console.log(`Created ${timeSlices.length} time slices`);
-  
-  const optimizedRight = [];
-  const optimizedLeft = [];
-
-  timeSlices.forEach((slice, index) => {
-    const simultaneousRight = rightHandCopy.filter(note => 
-      note.time <= slice.startTime && 
-      note.time + note.duration >= slice.endTime
-    );
-    
-    const simultaneousLeft = leftHandCopy.filter(note => 
-      note.time <= slice.startTime && 
-      note.time + note.duration >= slice.endTime
-    );
+/**
+ * Merge the copies of a note that several tracks contribute, as when
+ * strings, piano and pads double the same chord. Notes on the same key from
+ * different tracks that overlap in time become one note spanning all of
+ * them, with the loudest velocity; `sourceTracks` lists the tracks it came
+ * from. Repeated notes within one track are left for the cleanup stage, and
+ * two preserved (locked) notes in different hands are kept apart.
+ * @param {Object} arrangement - Piano arrangement with right and left hands
+ * @param {Object} config - Configuration options
+ * @returns {Object} - Consolidated arrangement, plus { merged } stats
+ */
+function consolidateNotes(arrangement, config) {
+  const logger = config.logger || silentLogger;
+  const notes = tagHands(arrangement);
+  const removed = new Set();
+  let merged = 0;
 
-    if (index === 0) {
-      console.log('First time slice analysis:', {
-        startTime: slice.startTime,
-        endTime: slice.endTime,
-        rightNotes: simultaneousRight.length,
-        leftNotes: simultaneousLeft.length
-      });
-    }
+  const byKey = new Map();
+  notes.forEach(note => {
+    if (!byKey.has(note.midi)) byKey.set(note.midi, []);
+    byKey.get(note.midi).push(note);
+  });
 
-    // If either hand has too many notes, redistribute
-    while (simultaneousRight.length > config.maxRightHandNotes) {
-      const lowestNote = simultaneousRight.reduce((a, b) => a.midi < b.midi ? a : b);
-      simultaneousRight.splice(simultaneousRight.indexOf(lowestNote), 1);
-      simultaneousLeft.push(lowestNote);
-    }
+  byKey.forEach(keyNotes => {
+    keyNotes.sort((a, b) => a.time - b.time);
+    let current = null;
 
-    while (simultaneousLeft.length > config.maxLeftHandNotes) {
-      const highestNote = simultaneousLeft.reduce((a, b) => a.midi > b.midi ? a : b);
-      simultaneousLeft.splice(simultaneousLeft.indexOf(highestNote), 1);
-      simultaneousRight.push(highestNote);
-    }
+    keyNotes.forEach(note => {
+      const overlaps = current && (
+        note.time < current.time + current.duration - TIME_EPSILON ||
+        note.time - current.time <= UNISON_TOLERANCE
+      );
+      const otherTrack = current && !sourceTracksOf(current).includes(note.track);
+      const apart = current && current.locked && note.locked && current.hand !== note.hand;
 
-    // Add notes to final arrangement
-    simultaneousRight.forEach(note => {
-      if (!optimizedRight.some(n => n.time === note.time && n.midi === note.midi)) {
-        optimizedRight.push({...note}); // Create a new copy
+      if (!overlaps || !otherTrack || apart) {
+        current = note;
+        return;
       }
-    });
 
-    simultaneousLeft.forEach(note => {
-      if (!optimizedLeft.some(n => n.time === note.time && n.midi === note.midi)) {
-        optimizedLeft.push({...note}); // Create a new copy
-      }
+      // The preserved note keeps its place; otherwise the earlier note does
+      const [kept, absorbed] = note.locked && !current.locked ? [note, current] : [current, note];
+      mergeNoteInto(kept, absorbed);
+      removed.add(absorbed);
+      current = kept;
+      merged++;
     });
   });
 
-  console.log('Optimization results:', {
-    originalRight: rightHand.length,
-    originalLeft: leftHand.length,
-    optimizedRight: optimizedRight.length,
-    optimizedLeft: optimizedLeft.length
-  });
+  logger.info('Consolidated notes doubled by several tracks:', merged);
+  return { ...arrangement, ...untagHands(notes, removed), stats: { merged } };
+}
 
-  return {
-    rightHand: optimizedRight,
-    leftHand: optimizedLeft
-  };
+/**
+ * Fold one note into another: the kept note spans both, takes the louder
+ * velocity and records every source track
+ * @param {Object} kept - Note to keep, changed in place
+ * @param {Object} absorbed - Note being merged away
+ */
+function mergeNoteInto(kept, absorbed) {
+  const end = Math.max(kept.time + kept.duration, absorbed.time + absorbed.duration);
+  kept.time = Math.min(kept.time, absorbed.time);
+  kept.duration = end - kept.time;
+  kept.velocity = Math.max(kept.velocity, absorbed.velocity);
+  kept.sourceTracks = Array.from(new Set([...sourceTracksOf(kept), ...sourceTracksOf(absorbed)]));
 }
 
 /**
- * Create time slices to analyze which notes occur simultaneously
- * @param {Array} notes - Array of all notes
- * @returns {Array} - Array of time slices with notes
+ * Source tracks of a note: the merged tracks, or the note's own track
+ * @param {Object} note - Arrangement note
+ * @returns {Array} - Track indices
  */
-function createTimeSlices(notes) {
-  // Find all unique time points
-  const timePoints = new Set();
-  
-  notes.forEach(note => {
-    timePoints.add(note.time);
-    timePoints.add(note.time + note.duration);
-  });
-  
-  const sortedTimePoints = Array.from(timePoints).sort((a, b) => a - b);
-  
-  // Create slices
-  const slices = [];
-  
-  for (let i = 0; i < sortedTimePoints.length - 1; i++) {
-    const startTime = sortedTimePoints[i];
-    const endTime = sortedTimePoints[i + 1];
-    
-    // Find notes that are active during this slice
-    const activeNotes = notes.filter(note => {
-      const noteEnd = note.time + note.duration;
-      return note.time <= startTime && noteEnd >= endTime;
+function sourceTracksOf(note) {
+  return note.sourceTracks || [note.track];
+}
+
+/**
+ * Clean up an arrangement played live or copied from overlapping tracks.
+ * Each step can be switched off on its own:
+ * - quantize snaps onsets and ends to the beat grid, straight or swung;
+ * - mergeUnisons joins notes on the same key that start together, keeping
+ *   the loudest velocity and the longest end;
+ * - trimOverlaps cuts a note off where its key is struck again, in either
+ *   hand, so the key isn't retriggered while held;
+ * - minNoteDuration drops notes shorter than the threshold, except
+ *   preserved (locked) notes.
+ * @param {Object} arrangement - Piano arrangement with right and left hands
+ * @param {Object} header - Original MIDI header, for the beat grid
+ * @param {Object} config - Configuration options
+ * @returns {Object} - Cleaned arrangement, plus cleanup stats
+ */
+function cleanupArrangement(arrangement, header, config) {
+  const logger = config.logger || silentLogger;
+  const stats = { quantized: 0, merged: 0, trimmed: 0, dropped: 0 };
+  const notes = tagHands(arrangement);
+  const removed = new Set();
+
+  if (config.quantize === 'grid' || config.quantize === 'swing') {
+    const gridTicks = header.ppq / config.quantizeDivision;
+    const swingRatio = config.quantize === 'swing' ? config.swingRatio : 0.5;
+    notes.forEach(note => {
+      if (quantizeNote(note, header, gridTicks, swingRatio)) stats.quantized++;
     });
-    
-    slices.push({
-      startTime,
-      endTime,
-      duration: endTime - startTime,
-      notes: activeNotes
+  } else if (config.quantize !== 'none') {
+    throw new Error(`Unknown quantize mode "${config.quantize}". Expected one of: grid, swing, none`);
+  }
+
+  // Walk each key's notes in time order
+  const byKey = new Map();
+  notes.forEach(note => {
+    if (!byKey.has(note.midi)) byKey.set(note.midi, []);
+    byKey.get(note.midi).push(note);
+  });
+
+  byKey.forEach(keyNotes => {
+    keyNotes.sort((a, b) => a.time - b.time);
+    let previous = null;
+
+    keyNotes.forEach(note => {
+      if (config.mergeUnisons && previous && note.time - previous.time <= UNISON_TOLERANCE) {
+        // Keep the preserved note if there is one and fold the other into it
+        const [kept, merged] = note.locked && !previous.locked ? [note, previous] : [previous, note];
+        mergeNoteInto(kept, merged);
+        removed.add(merged);
+        previous = kept;
+        stats.merged++;
+        return;
+      }
+
+      if (config.trimOverlaps && previous && previous.time + previous.duration > note.time + TIME_EPSILON) {
+        previous.duration = note.time - previous.time;
+        if (previous.duration <= TIME_EPSILON) removed.add(previous);
+        stats.trimmed++;
+      }
+      previous = note;
+    });
+  });
+
+  if (config.minNoteDuration > 0) {
+    notes.forEach(note => {
+      if (!removed.has(note) && !note.locked && note.duration < config.minNoteDuration) {
+        removed.add(note);
+        stats.dropped++;
+      }
     });
   }
-  
+
+  logger.info('Cleanup results:', stats);
+  return { ...arrangement, ...untagHands(notes, removed), stats };
+}
+
+/**
+ * Simplify an arrangement for the configured difficulty level.
+ * Beginner keeps only the melody in the right hand and the roots (the bass
+ * line, or the lowest note of each left-hand onset) in the left. Intermediate
+ * drops octave doublings inside chords and breaks long left-hand chords into
+ * a simple low-high-middle-high pattern. Both quantize onsets and durations
+ * to a grid and fold each hand into a limited range. The per-hand note caps
+ * of each level are applied to the config in optimizeMidi.
+ * @param {Object} arrangement - Piano arrangement with right and left hands
+ * @param {Object} header - Original MIDI header, for the beat grid
+ * @param {Object} config - Configuration options
+ * @returns {Object} - Simplified arrangement, plus simplification stats
+ */
+function simplifyArrangement(arrangement, header, config) {
+  const logger = config.logger || silentLogger;
+  const level = DIFFICULTY_LEVELS[config.difficulty] || {};
+  const stats = { difficulty: config.difficulty, notesBefore: 0, notesAfter: 0, brokenChords: 0, quantized: 0, folded: 0 };
+
+  let rightHand = arrangement.rightHand.map(note => ({ ...note }));
+  let leftHand = arrangement.leftHand.map(note => ({ ...note }));
+  stats.notesBefore = rightHand.length + leftHand.length;
+
+  if (level.melodyOnly) {
+    const all = [...rightHand, ...leftHand];
+    const melody = all.filter(note => note.melody);
+    rightHand = melody.length > 0 ? melody : outerNotes(rightHand, 'right');
+    leftHand = leftHand.filter(note => !note.melody);
+  }
+
+  if (level.rootsOnly) {
+    const bass = leftHand.filter(note => note.bass);
+    leftHand = bass.length > 0 ? bass : outerNotes(leftHand, 'left');
+  }
+
+  if (level.thinChords) {
+    rightHand = removeChordDoublings(rightHand, 'right');
+    leftHand = removeChordDoublings(leftHand, 'left');
+  }
+
+  // A left hand played from the chords already has its chosen pattern
+  if (level.brokenChords && config.accompaniment === 'source') {
+    const broken = breakChords(leftHand, header);
+    leftHand = broken.notes;
+    stats.brokenChords = broken.count;
+  }
+
+  if (level.gridDivision) {
+    const gridTicks = header.ppq / level.gridDivision;
+    [rightHand, leftHand].forEach(notes => {
+      notes.forEach(note => {
+        if (quantizeNote(note, header, gridTicks)) stats.quantized++;
+      });
+    });
+  }
+
+  if (level.rightRange) {
+    [[rightHand, level.rightRange], [leftHand, level.leftRange]].forEach(([notes, [low, high]]) => {
+      notes.forEach(note => {
+        const midi = shiftIntoRange(note.midi, low, high);
+        if (midi !== note.midi) {
+          note.midi = midi;
+          stats.folded++;
+        }
+      });
+    });
+  }
+
+  // Quantizing can stack notes of a single line, so make those monophonic
+  if (level.melodyOnly) rightHand = toMonophonicLine(rightHand, 'right');
+  if (level.rootsOnly) leftHand = toMonophonicLine(leftHand, 'left');
+
+  // Quantizing and folding can land two notes on the same key; levels
+  // that do neither leave the notes as they are
+  if (level.gridDivision || level.rightRange) {
+    rightHand = removeUnisons(rightHand);
+    leftHand = removeUnisons(leftHand);
+  }
+  stats.notesAfter = rightHand.length + leftHand.length;
+
+  if (config.difficulty !== 'original') {
+    logger.info('Simplification results:', stats);
+  }
+
+  return { ...arrangement, rightHand, leftHand, stats };
+}
+
+/**
+ * Keep only the outer note of each onset: the top for the right hand, the
+ * bottom for the left
+ * @param {Array} notes - Notes of one hand
+ * @param {string} hand - 'right' or 'left'
+ * @returns {Array} - One note per onset
+ */
+function outerNotes(notes, hand) {
+  return groupByOnset(notes).map(group => group.notes.reduce((a, b) => {
+    if (hand === 'right') return b.midi > a.midi ? b : a;
+    return b.midi < a.midi ? b : a;
+  }));
+}
+
+/**
+ * Reduce notes to a single line: the outer note of each onset, cut off
+ * where the next one starts
+ * @param {Array} notes - Notes of one hand
+ * @param {string} hand - 'right' or 'left'
+ * @returns {Array} - Non-overlapping notes in time order
+ */
+function toMonophonicLine(notes, hand) {
+  const line = outerNotes(notes, hand);
+  line.forEach((note, index) => {
+    const next = line[index + 1];
+    if (next && note.time + note.duration > next.time) {
+      note.duration = next.time - note.time;
+    }
+  });
+  return line;
+}
+
+/**
+ * Drop octave doublings inside each onset, keeping the hand's outer note
+ * and any preserved (locked) voice
+ * @param {Array} notes - Notes of one hand
+ * @param {string} hand - 'right' or 'left'
+ * @returns {Array} - Notes without doublings
+ */
+function removeChordDoublings(notes, hand) {
+  const kept = [];
+  groupByOnset(notes).forEach(group => {
+    // Visit the outer note and locked notes first so they claim their pitch class
+    const ordered = [...group.notes].sort((a, b) =>
+      (b.locked ? 1 : 0) - (a.locked ? 1 : 0) ||
+      (hand === 'right' ? b.midi - a.midi : a.midi - b.midi)
+    );
+    const pitchClasses = new Set();
+    ordered.forEach(note => {
+      if (!note.locked && pitchClasses.has(note.midi % 12)) return;
+      pitchClasses.add(note.midi % 12);
+      kept.push(note);
+    });
+  });
+  return kept;
+}
+
+/**
+ * Break long left-hand chords into a low-high-middle-high pattern, one note
+ * per beat, for as long as the chord was held
+ * @param {Array} notes - Left hand notes
+ * @param {Object} header - Original MIDI header, for the beat length
+ * @returns {Object} - { notes, count } with the count of chords broken
+ */
+function breakChords(notes, header) {
+  const result = [];
+  let count = 0;
+
+  groupByOnset(notes).forEach(group => {
+    const chord = [...group.notes].sort((a, b) => a.midi - b.midi);
+    const startTicks = header.secondsToTicks(group.time);
+    const endTicks = header.secondsToTicks(
+      Math.min(...chord.map(note => note.time + note.duration))
+    );
+    const beats = Math.floor((endTicks - startTicks) / header.ppq);
+
+    if (chord.length < 3 || beats < 2) {
+      result.push(...group.notes);
+      return;
+    }
+
+    const pattern = [0, chord.length - 1, Math.floor(chord.length / 2), chord.length - 1];
+    for (let beat = 0; beat < beats; beat++) {
+      const source = chord[pattern[beat % pattern.length]];
+      const time = header.ticksToSeconds(startTicks + beat * header.ppq);
+      const end = header.ticksToSeconds(startTicks + (beat + 1) * header.ppq);
+      result.push({ ...source, time, duration: end - time });
+    }
+    count++;
+  });
+
+  return { notes: result, count };
+}
+
+/**
+ * Snap a note's onset and end to a grid, keeping at least one grid step
+ * @param {Object} note - Note to change in place
+ * @param {Object} header - Original MIDI header, for tick conversion
+ * @param {number} gridTicks - Grid step in ticks
+ * @param {number} [swingRatio] - Position of every second grid point within
+ *   its pair of steps (default: 0.5, a straight grid)
+ * @returns {boolean} - True if the note moved or changed length
+ */
+function quantizeNote(note, header, gridTicks, swingRatio = 0.5) {
+  const startTicks = header.secondsToTicks(note.time);
+  const endTicks = header.secondsToTicks(note.time + note.duration);
+  const start = snapTicks(startTicks, gridTicks, swingRatio);
+  const end = Math.max(
+    snapTicks(endTicks, gridTicks, swingRatio),
+    snapTicks(start + gridTicks, gridTicks, swingRatio)
+  );
+
+  const time = header.ticksToSeconds(start);
+  const duration = header.ticksToSeconds(end) - time;
+  const changed = Math.abs(time - note.time) > TIME_EPSILON ||
+    Math.abs(duration - note.duration) > TIME_EPSILON;
+  note.time = time;
+  note.duration = duration;
+  return changed;
+}
+
+/**
+ * Snap a tick position to the nearest point of a straight or swung grid.
+ * Grid steps are taken in pairs; the point between the two steps of a pair
+ * sits at swingRatio of the pair's length.
+ * @param {number} ticks - Position in ticks
+ * @param {number} gridTicks - Grid step in ticks
+ * @param {number} swingRatio - Position of the middle point within a pair
+ * @returns {number} - Snapped position in ticks
+ */
+function snapTicks(ticks, gridTicks, swingRatio) {
+  const pairTicks = gridTicks * 2;
+  const pairStart = Math.floor(ticks / pairTicks) * pairTicks;
+  const points = [pairStart, pairStart + pairTicks * swingRatio, pairStart + pairTicks];
+  return points.reduce((best, point) =>
+    Math.abs(point - ticks) < Math.abs(best - ticks) ? point : best
+  );
+}
+
+/**
+ * Keep one note per key and onset, preferring preserved (locked) notes and
+ * then the longest
+ * @param {Array} notes - Notes of one hand
+ * @returns {Array} - Notes without unisons
+ */
+function removeUnisons(notes) {
+  const byKey = new Map();
+  notes.forEach(note => {
+    const key = `${note.midi}:${Math.round(note.time / TIME_EPSILON)}`;
+    const current = byKey.get(key);
+    if (!current ||
+        (note.locked && !current.locked) ||
+        (note.locked === current.locked && note.duration > current.duration)) {
+      byKey.set(key, note);
+    }
+  });
+  return Array.from(byKey.values());
+}
+
+/**
+ * Replace the left hand with the recognized chords played in the
+ * accompaniment pattern, under the melody. Without a traced melody the
+ * right hand keeps its notes; without chords the arrangement stays as it is.
+ * @param {Object} arrangement - Piano arrangement with right and left hands
+ * @param {Array} chords - Chords from recognizeChords
+ * @param {Object} header - MIDI header, for the beat grid
+ * @param {number} duration - Length of the piece in seconds
+ * @param {Object} config - Configuration options (accompaniment)
+ * @returns {Object} - Lead-sheet arrangement
+ */
+function createLeadSheetArrangement(arrangement, chords, header, duration, config) {
+  const logger = config.logger || silentLogger;
+  if (chords.length === 0) {
+    logger.warn('No chords recognized, so the left hand keeps the source notes');
+    return arrangement;
+  }
+
+  const melody = [...arrangement.rightHand, ...arrangement.leftHand].filter(note => note.melody);
+  const leftHand = createAccompaniment(chords, config.accompaniment, header, getMeasureStartTimes(header, duration));
+  logger.info(`Lead sheet: ${chords.length} chords played as ${config.accompaniment}, ${leftHand.length} left-hand notes`);
+  return {
+    ...arrangement,
+    rightHand: melody.length > 0 ? melody : arrangement.rightHand,
+    leftHand
+  };
+}
+
+/**
+ * Fold every note outside the keyboard in by octaves. A folded note that
+ * would land on a key already sounding is merged into that note, so no key
+ * is struck twice. Melody and bass notes are dropped instead when folding
+ * would turn a step of their line into a leap the other way, wider than
+ * LINE_LEAP, which would break the line.
+ * @param {Object} arrangement - Piano arrangement with right and left hands
+ * @param {Object} config - Configuration options (keyboardRange)
+ * @returns {Object} - Arrangement within the keyboard, plus folding stats
+ */
+function fitKeyboardRange(arrangement, config) {
+  const logger = config.logger || silentLogger;
+  const { low, high } = resolveKeyboardRange(config.keyboardRange);
+  const stats = { low, high, folded: 0, merged: 0, dropped: 0 };
+
+  const notes = tagHands(arrangement);
+  const sorted = [...notes].sort((a, b) => a.time - b.time);
+  const removed = new Set();
+  const written = new Map(notes.map(note => [note, note.midi]));
+  const outside = note => note.midi < low || note.midi > high;
+
+  // The notes on each key in time order, with the longest of them, so a
+  // collision check only looks at the notes that could still be sounding
+  const keys = new Map();
+  const keyOf = midi => {
+    if (!keys.has(midi)) keys.set(midi, { notes: [], longest: 0 });
+    return keys.get(midi);
+  };
+  const addToKey = note => {
+    const key = keyOf(note.midi);
+    key.notes.splice(firstStartingAfter(key.notes, note.time), 0, note);
+    key.longest = Math.max(key.longest, note.duration);
+  };
+  const removeFromKey = note => {
+    const key = keyOf(note.midi);
+    key.notes.splice(key.notes.indexOf(note, firstStartingAfter(key.notes, note.time - TIME_EPSILON)), 1);
+  };
+  sorted.forEach(addToKey);
+
+  const collides = (note, midi) => {
+    const key = keyOf(midi);
+    const end = note.time + note.duration - TIME_EPSILON;
+    for (let i = firstStartingAfter(key.notes, end) - 1; i >= 0; i--) {
+      const other = key.notes[i];
+      if (other.time + key.longest <= note.time + TIME_EPSILON) break;
+      if (other.time < end && note.time < other.time + other.duration - TIME_EPSILON) return true;
+    }
+    return false;
+  };
+
+  // The note heard just before this one in its line, if close enough. The
+  // notes are visited in time order, so each line keeps a pointer past the
+  // notes that started earlier.
+  const lines = {
+    melody: { notes: sorted.filter(note => note.melody), next: 0 },
+    bass: { notes: sorted.filter(note => note.bass), next: 0 }
+  };
+  const previousInLine = note => {
+    const line = lines[note.melody ? 'melody' : 'bass'];
+    while (line.next < line.notes.length && line.notes[line.next].time < note.time - TIME_EPSILON) {
+      line.next++;
+    }
+    for (let i = line.next - 1; i >= 0; i--) {
+      const other = line.notes[i];
+      if (removed.has(other)) continue;
+      return other.time + other.duration >= note.time - LINE_GAP ? other : null;
+    }
+    return null;
+  };
+
+  sorted.forEach(note => {
+    if (!outside(note)) return;
+
+    const midi = shiftIntoRange(note.midi, low, high);
+    if (collides(note, midi)) {
+      removed.add(note);
+      removeFromKey(note);
+      stats.merged++;
+      return;
+    }
+
+    let keep = true;
+    if (note.melody || note.bass) {
+      const previous = previousInLine(note);
+      if (previous) {
+        const step = note.midi - written.get(previous);
+        const folded = midi - previous.midi;
+        keep = Math.sign(step) === Math.sign(folded) || Math.abs(folded) <= LINE_LEAP;
+      }
+    }
+
+    removeFromKey(note);
+    if (keep) {
+      note.midi = midi;
+      addToKey(note);
+      stats.folded++;
+    } else {
+      removed.add(note);
+      stats.dropped++;
+    }
+  });
+
+  const { rightHand, leftHand } = untagHands(notes, removed);
+  if (stats.folded + stats.merged + stats.dropped > 0) {
+    logger.info('Keyboard range results:', stats);
+  }
+
+  return { ...arrangement, rightHand, leftHand, stats };
+}
+
+// Index of the first note in a time-ordered list starting after a time
+function firstStartingAfter(notes, time) {
+  let low = 0;
+  let high = notes.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (notes[middle].time <= time) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+/**
+ * Look up a keyboardRange option
+ * @param {string|Object} keyboardRange - Number of keys (88, 76, 61 or 49)
+ *   or { low, high }
+ * @returns {Object} - { low, high } MIDI note numbers
+ */
+function resolveKeyboardRange(keyboardRange) {
+  if (typeof keyboardRange === 'object' && keyboardRange !== null) {
+    return { low: keyboardRange.low, high: keyboardRange.high };
+  }
+  const range = KEYBOARD_RANGES[keyboardRange];
+  if (!range) {
+    throw new Error(`Unknown keyboard range "${keyboardRange}". Expected one of: ${Object.keys(KEYBOARD_RANGES).join(', ')}`);
+  }
+  return { ...range };
+}
+
+/**
+ * Enforce the per-hand polyphony limits on an arrangement.
+ * Walks the time slices once; whenever a hand holds more notes than allowed,
+ * new notes are first moved to the other hand if it has room. When both hands
+ * are full, the least important notes are merged or dropped: unison and
+ * octave doublings first, then inner voices. The top voice of the right hand
+ * and the bottom voice of the left hand are never removed.
+ * @param {Object} arrangement - Piano arrangement with right and left hands
+ * @param {Object} config - Configuration options
+ * @returns {Object} - Arrangement within the limits, plus adjustment stats
+ */
+function optimizeSimultaneousNotes(arrangement, config) {
+  const logger = config.logger || silentLogger;
+  const limits = {
+    right: config.maxRightHandNotes,
+    left: config.maxLeftHandNotes
+  };
+  const stats = { moved: 0, merged: 0, dropped: 0, truncated: 0 };
+
+  const notes = tagHands(arrangement);
+  const removed = new Set();
+
+  const slices = createTimeSlices(notes);
+  logger.debug(`Created ${slices.length} time slices`);
+
+  slices.forEach(slice => {
+    // A slice without onsets only holds notes from the previous slice,
+    // which already fit within the limits
+    if (slice.onsets.length === 0) return;
+
+    const live = slice.notes.filter(note =>
+      !removed.has(note) &&
+      note.time + note.duration > slice.startTime + TIME_EPSILON
+    );
+
+    ['right', 'left'].forEach(hand => {
+      const other = hand === 'right' ? 'left' : 'right';
+      const inHand = h => live.filter(note => note.hand === h);
+
+      while (inHand(hand).length > limits[hand]) {
+        const handNotes = inHand(hand);
+
+        // Hand the note nearest the other hand over while there is room
+        if (inHand(other).length < limits[other]) {
+          const candidate = findMoveCandidate(handNotes, hand, slice);
+          if (candidate) {
+            candidate.hand = other;
+            stats.moved++;
+            continue;
+          }
+        }
+
+        const victim = findLeastImportantNote(handNotes, hand, live);
+        if (!victim) break;
+
+        if (victim.partner) {
+          // Unison: one key can't sound twice, so keep a single note
+          const { note, partner } = victim;
+          const keep = isOnset(note, slice) && !isOnset(partner, slice) &&
+            partner.time + partner.duration < note.time + note.duration
+            ? note : partner;
+          const drop = keep === note ? partner : note;
+          keep.velocity = Math.max(keep.velocity, drop.velocity);
+          removeNoteAt(drop, slice, removed);
+          live.splice(live.indexOf(drop), 1);
+          stats.merged++;
+        } else {
+          if (removeNoteAt(victim.note, slice, removed)) {
+            stats.dropped++;
+          } else {
+            stats.truncated++;
+          }
+          live.splice(live.indexOf(victim.note), 1);
+        }
+      }
+    });
+  });
+
+  const { rightHand, leftHand } = untagHands(notes, removed);
+
+  logger.info('Polyphony optimization results:', {
+    originalRight: arrangement.rightHand.length,
+    originalLeft: arrangement.leftHand.length,
+    optimizedRight: rightHand.length,
+    optimizedLeft: leftHand.length,
+    ...stats
+  });
+
+  return { rightHand, leftHand, stats };
+}
+
+/**
+ * Enforce the maximum hand span on an arrangement.
+ * At every onset, the notes of each hand must fit within config.maxHandSpan
+ * semitones of the hand's outer voice (the top of the right hand, the bottom
+ * of the left hand). An outer voice that merely doubles another note is
+ * dropped first. Each remaining out-of-reach note is reassigned to the other
+ * hand if it fits there, otherwise octave-displaced towards the hand, and
+ * otherwise dropped.
+ * @param {Object} arrangement - Piano arrangement with right and left hands
+ * @param {Object} config - Configuration options
+ * @returns {Object} - Arrangement within the span, plus adjustment stats
+ */
+function enforceHandSpan(arrangement, config) {
+  const logger = config.logger || silentLogger;
+  const limits = {
+    right: config.maxRightHandNotes,
+    left: config.maxLeftHandNotes
+  };
+  const maxSpan = config.maxHandSpan;
+  const stats = { reassigned: 0, displaced: 0, dropped: 0, truncated: 0, adjustments: [] };
+
+  const notes = tagHands(arrangement);
+  const removed = new Set();
+
+  const record = (note, action, details = {}) => {
+    stats[action]++;
+    stats.adjustments.push({ time: note.time, hand: note.hand, midi: note.midi, action, ...details });
+  };
+
+  const remove = (note, slice, live) => {
+    if (removeNoteAt(note, slice, removed)) {
+      record(note, 'dropped');
+    } else {
+      record(note, 'truncated', { at: slice.startTime });
+    }
+    live.splice(live.indexOf(note), 1);
+  };
+
+  createTimeSlices(notes).forEach(slice => {
+    if (slice.onsets.length === 0) return;
+
+    const live = slice.notes.filter(note =>
+      !removed.has(note) &&
+      note.time + note.duration > slice.startTime + TIME_EPSILON
+    );
+
+    ['right', 'left'].forEach(hand => {
+      const other = hand === 'right' ? 'left' : 'right';
+      // Sort from the outer voice inwards
+      const handNotes = () => live
+        .filter(note => note.hand === hand)
+        .sort((a, b) => hand === 'right' ? b.midi - a.midi : a.midi - b.midi);
+
+      let sorted = handNotes();
+      if (sorted.length < 2 || spanOf(sorted) <= maxSpan) return;
+
+      // An unimportant outer doubling shouldn't stretch the whole hand
+      const outer = sorted[0];
+      const outerDoubled = sorted.some(note =>
+        note !== outer && note.midi % 12 === outer.midi % 12
+      );
+      if (outerDoubled && !outer.locked && noteWeight(outer) === 0) {
+        remove(outer, slice, live);
+        sorted = handNotes();
+        if (spanOf(sorted) <= maxSpan) return;
+      }
+
+      // Preserved voices stay put, so the hand is built around them
+      const { low, high } = handWindow(sorted, hand, maxSpan);
+      const outOfReach = sorted.filter(note =>
+        !note.locked && (note.midi < low || note.midi > high)
+      );
+
+      // Keep the most important notes when space in the other hand runs out
+      outOfReach
+        .sort((a, b) => noteWeight(b) - noteWeight(a) ||
+          b.velocity - a.velocity)
+        .forEach(note => {
+          const onset = isOnset(note, slice);
+
+          if (onset) {
+            const otherNotes = live.filter(n => n.hand === other);
+            const fitsOther = !note.fixedHand &&
+              otherNotes.length < limits[other] &&
+              spanOf([...otherNotes, note]) <= maxSpan &&
+              !otherNotes.some(n => n.midi === note.midi);
+            if (fitsOther) {
+              record(note, 'reassigned', { to: other });
+              note.hand = other;
+              return;
+            }
+
+            const displaced = displaceIntoSpan(note.midi, low, high);
+            if (displaced !== null && !live.some(n => n !== note && n.midi === displaced)) {
+              record(note, 'displaced', { to: displaced });
+              note.midi = displaced;
+              return;
+            }
+          }
+
+          remove(note, slice, live);
+        });
+    });
+  });
+
+  const { rightHand, leftHand } = untagHands(notes, removed);
+
+  logger.info('Hand span results:', {
+    maxSpan,
+    reassigned: stats.reassigned,
+    displaced: stats.displaced,
+    dropped: stats.dropped,
+    truncated: stats.truncated
+  });
+
+  return { rightHand, leftHand, stats };
+}
+
+function spanOf(notes) {
+  const pitches = notes.map(note => note.midi);
+  return Math.max(...pitches) - Math.min(...pitches);
+}
+
+/**
+ * Choose the keys a hand covers: the window of maxSpan semitones that holds
+ * every preserved note (or the outer voice when none is preserved) and
+ * reaches the most of the others, nearest the outer voice on a tie
+ * @param {Array} sorted - Notes of one hand, outer voice first
+ * @param {string} hand - 'right' or 'left'
+ * @param {number} maxSpan - Widest stretch in semitones
+ * @returns {Object} - { low, high } pitches of the window
+ */
+function handWindow(sorted, hand, maxSpan) {
+  // Preserved notes further apart than the span can't all be reached, so
+  // the outermost of them wins
+  let required = sorted.filter(note => note.locked);
+  if (required.length === 0 || spanOf(required) > maxSpan) {
+    required = [sorted.find(note => note.locked) || sorted[0]];
+  }
+  const bounds = notes => notes.reduce((range, note) => ({
+    low: Math.min(range.low, note.midi),
+    high: Math.max(range.high, note.midi)
+  }), { low: Infinity, high: -Infinity });
+  const kept = bounds(required);
+  const all = bounds(sorted);
+
+  // Windows reaching past the hand's own notes would waste keys; the hand
+  // is wider than the span, so one always fits between its outer notes
+  const lowest = Math.max(kept.high - maxSpan, all.low);
+  const highest = Math.min(kept.low, all.high - maxSpan);
+
+  // The best window starts or ends on a note; try those from the outer voice in
+  const starts = [lowest, highest, ...sorted.flatMap(note => [note.midi, note.midi - maxSpan])]
+    .filter(low => low >= lowest && low <= highest)
+    .sort((a, b) => hand === 'right' ? b - a : a - b);
+
+  let best = null;
+  starts.forEach(low => {
+    const reached = sorted.filter(note => note.midi >= low && note.midi <= low + maxSpan).length;
+    if (!best || reached > best.reached) best = { low, reached };
+  });
+  return { low: best.low, high: best.low + maxSpan };
+}
+
+/**
+ * Shift a pitch by the fewest octaves that bring it into a hand's window
+ * @param {number} midi - Pitch to move
+ * @param {number} low - Lowest pitch of the window
+ * @param {number} high - Highest pitch of the window
+ * @returns {number|null} - New pitch, or null if no octave of it fits
+ *   (windows under an octave miss some pitch classes)
+ */
+function displaceIntoSpan(midi, low, high) {
+  let pitch = midi;
+  if (pitch < low) pitch = low + ((pitch - low) % 12 + 12) % 12;
+  else if (pitch > high) pitch = high - ((high - pitch) % 12 + 12) % 12;
+  return pitch < low || pitch > high ? null : pitch;
+}
+
+/**
+ * Copy the notes of both hands into one list, tagged with their current
+ * hand so a move between hands is a single assignment
+ * @param {Object} arrangement - Piano arrangement with right and left hands
+ * @returns {Array} - Tagged note copies
+ */
+function tagHands(arrangement) {
+  return [
+    ...arrangement.rightHand.map(note => ({ ...note, hand: 'right' })),
+    ...arrangement.leftHand.map(note => ({ ...note, hand: 'left' }))
+  ];
+}
+
+/**
+ * Split tagged notes back into right and left hands
+ * @param {Array} notes - Notes tagged by tagHands
+ * @param {Set} removed - Notes to leave out
+ * @returns {Object} - Right and left hand notes
+ */
+function untagHands(notes, removed) {
+  const rightHand = [];
+  const leftHand = [];
+  notes.forEach(note => {
+    if (removed.has(note)) return;
+    const { hand, ...rest } = note;
+    (hand === 'right' ? rightHand : leftHand).push(rest);
+  });
+  return { rightHand, leftHand };
+}
+
+/**
+ * How much a note's role protects it from being moved or removed
+ * @param {Object} note - Arrangement note
+ * @returns {number} - Weight, higher is more important
+ */
+function noteWeight(note) {
+  if (note.melody) return ROLE_WEIGHTS.melody;
+  return ROLE_WEIGHTS[note.trackRole] || 0;
+}
+
+function isOnset(note, slice) {
+  return Math.abs(note.time - slice.startTime) <= TIME_EPSILON;
+}
+
+/**
+ * Remove a note from the arrangement at the start of a slice. Notes that
+ * start in the slice are dropped; notes already sounding are cut short.
+ * @returns {boolean} - True if the note was dropped entirely
+ */
+function removeNoteAt(note, slice, removed) {
+  if (note.time >= slice.startTime - TIME_EPSILON) {
+    removed.add(note);
+    return true;
+  }
+  note.duration = slice.startTime - note.time;
+  return false;
+}
+
+/**
+ * Pick the note to hand over to the other hand: the lowest new note of the
+ * right hand or the highest new note of the left hand
+ */
+function findMoveCandidate(handNotes, hand, slice) {
+  const edge = hand === 'right'
+    ? (a, b) => a.midi - b.midi
+    : (a, b) => b.midi - a.midi;
+  const sorted = [...handNotes].sort(edge);
+  // Never move the outer voice of the hand
+  const candidate = sorted[0];
+  if (sorted.length < 2 || candidate.locked || candidate.fixedHand ||
+      !isOnset(candidate, slice)) {
+    return null;
+  }
+  return candidate;
+}
+
+/**
+ * Pick the least important note of a hand: unisons first, then octave
+ * doublings, then inner voices. Lower role weight, new onsets and softer
+ * notes go first within each category.
+ * @returns {Object|null} - { note, partner } where partner is set for unisons
+ */
+function findLeastImportantNote(handNotes, hand, live) {
+  const outer = handNotes.reduce((a, b) => {
+    if (hand === 'right') return b.midi > a.midi ? b : a;
+    return b.midi < a.midi ? b : a;
+  });
+
+  let best = null;
+  handNotes.forEach(note => {
+    if (note === outer || note.locked) return;
+
+    const partner = live.find(other => other !== note && other.midi === note.midi);
+    const doubled = live.some(other =>
+      other !== note && other.midi !== note.midi && other.midi % 12 === note.midi % 12
+    );
+    // Later onsets sort first so held notes are kept where possible
+    const rank = [
+      partner ? 0 : doubled ? 1 : 2,
+      noteWeight(note),
+      -note.time,
+      note.velocity
+    ];
+
+    if (!best || compareRanks(rank, best.rank) < 0) {
+      best = { note, partner, rank };
+    }
+  });
+
+  if (!best) return null;
+  // A locked unison partner must survive the merge
+  if (best.partner && best.partner.locked) {
+    return { note: best.note, partner: null };
+  }
+  return best;
+}
+
+function compareRanks(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+/**
+ * Create time slices to analyze which notes occur simultaneously.
+ * Uses a single sweep over sorted note on/off events, so the cost grows with
+ * the number of notes rather than notes times time points.
+ * @param {Array} notes - Array of all notes
+ * @returns {Array} - Array of time slices with the active notes and the
+ *   notes starting at each slice
+ */
+function createTimeSlices(notes) {
+  const events = [];
+
+  notes.forEach(note => {
+    events.push({ time: note.time, type: 'noteOn', note });
+    events.push({ time: note.time + note.duration, type: 'noteOff', note });
+  });
+
+  events.sort((a, b) => a.time - b.time);
+
+  const active = new Set();
+  const slices = [];
+  let i = 0;
+
+  while (i < events.length) {
+    const startTime = events[i].time;
+    const started = [];
+
+    // Apply every event at this time point before opening the next slice
+    while (i < events.length && events[i].time - startTime <= TIME_EPSILON) {
+      const { type, note } = events[i];
+      if (type === 'noteOn') {
+        active.add(note);
+        started.push(note);
+      } else {
+        active.delete(note);
+      }
+      i++;
+    }
+
+    if (i < events.length && active.size > 0) {
+      const endTime = events[i].time;
+      slices.push({
+        startTime,
+        endTime,
+        duration: endTime - startTime,
+        notes: Array.from(active),
+        onsets: started.filter(note => active.has(note))
+      });
+    }
+  }
+
   return slices;
 }
 
+/**
+ * Collect the control changes to carry over to the piano output.
+ * Sustain pedal from all source tracks is merged into one pedal line that is
+ * down while any source holds it down. Volume, expression and pitch bends
+ * are carried over only to a hand fed by a single source track, since on a
+ * hand track they would bend and rescale notes from every other source.
+ * @param {Midi} midi - The parsed MIDI file
+ * @param {Object} arrangement - Piano arrangement with right and left hands
+ * @param {Object} config - Configuration options
+ * @returns {Object} - { pedal, pedalSynthesized, right, left } where each
+ *   hand holds { controlChanges, pitchBends }
+ */
+function collectControlChanges(midi, arrangement, config) {
+  const logger = config.logger || silentLogger;
+  const overrides = config.trackOverrides || {};
+  const sources = midi.tracks.filter((track, index) =>
+    track.channel !== 9 && !isTrackExcluded(overrides[index])
+  );
+
+  let pedal = config.preserveControlChanges
+    ? mergePedalEvents(sources.map(track => track.controlChanges[CC_SUSTAIN] || []))
+    : [];
+  let pedalSynthesized = false;
+  if (pedal.length === 0 && config.synthesizePedal) {
+    pedal = synthesizePedalEvents(arrangement);
+    pedalSynthesized = pedal.length > 0;
+  }
+
+  const handControls = notes => {
+    if (!config.preserveControlChanges) {
+      return { controlChanges: [], pitchBends: [] };
+    }
+
+    // Notes the accompaniment wrote have no track and count as a source
+    const tracks = new Set(notes.map(note => note.track));
+    const track = tracks.size === 1 ? midi.tracks[notes[0].track] : null;
+    if (!track) {
+      return { controlChanges: [], pitchBends: [] };
+    }
+
+    const controlChanges = [];
+    [CC_VOLUME, CC_EXPRESSION].forEach(number => {
+      (track.controlChanges[number] || []).forEach(cc => {
+        controlChanges.push({ number, time: cc.time, value: cc.value });
+      });
+    });
+    const pitchBends = track.pitchBends.map(bend => ({ time: bend.time, value: bend.value }));
+    return { controlChanges, pitchBends };
+  };
+
+  const controls = {
+    pedal,
+    pedalSynthesized,
+    right: handControls(arrangement.rightHand),
+    left: handControls(arrangement.leftHand)
+  };
+
+  logger.info('Control changes:', {
+    pedalEvents: pedal.length,
+    pedalSynthesized,
+    rightHand: controls.right.controlChanges.length + controls.right.pitchBends.length,
+    leftHand: controls.left.controlChanges.length + controls.left.pitchBends.length
+  });
+
+  return controls;
+}
+
+/**
+ * Merge sustain pedal events from several tracks into one pedal line.
+ * The merged pedal is down while at least one source holds it down, so
+ * overlapping pedalings from different tracks don't cut each other short.
+ * @param {Array} pedalTracks - One array of CC64 events per source track
+ * @returns {Array} - Merged pedal events as { time, value }
+ */
+function mergePedalEvents(pedalTracks) {
+  const transitions = [];
+
+  pedalTracks.forEach((events, source) => {
+    let down = false;
+    [...events].sort((a, b) => a.time - b.time).forEach(event => {
+      const pressed = event.value >= 0.5;
+      if (pressed !== down) {
+        transitions.push({ time: event.time, delta: pressed ? 1 : -1 });
+        down = pressed;
+      }
+    });
+  });
+
+  // Releases sort first so a lift and re-press at one instant stays audible
+  transitions.sort((a, b) => a.time - b.time || a.delta - b.delta);
+
+  const merged = [];
+  let held = 0;
+  transitions.forEach(({ time, delta }) => {
+    const wasDown = held > 0;
+    held += delta;
+    if (wasDown !== held > 0) {
+      merged.push({ time, value: held > 0 ? 1 : 0 });
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Synthesize legato pedaling from harmony changes: the pedal is lifted at
+ * each change and pressed again just after, and released at the end.
+ * A change is a new lowest sounding pitch class, or a chord sharing less
+ * than half its pitch classes with the previous one.
+ * @param {Object} arrangement - Piano arrangement with right and left hands
+ * @returns {Array} - Pedal events as { time, value }
+ */
+function synthesizePedalEvents(arrangement) {
+  const notes = [...arrangement.rightHand, ...arrangement.leftHand];
+  if (notes.length === 0) return [];
+
+  const events = [];
+  let current = null;
+
+  createTimeSlices(notes).forEach(slice => {
+    if (slice.onsets.length === 0) return;
+
+    // Held notes count too: the harmony is everything sounding
+    const pitches = slice.notes.map(note => note.midi);
+    const chord = {
+      root: Math.min(...pitches) % 12,
+      pitchClasses: new Set(pitches.map(pitch => pitch % 12))
+    };
+
+    const changed = !current ||
+      chord.root !== current.root ||
+      (chord.pitchClasses.size >= 3 &&
+        [...chord.pitchClasses].filter(pc => current.pitchClasses.has(pc)).length * 2 < chord.pitchClasses.size);
+    if (!changed) return;
+
+    if (current) {
+      events.push({ time: slice.startTime, value: 0 });
+    }
+    events.push({ time: slice.startTime + PEDAL_LAG, value: 1 });
+    current = chord;
+  });
+
+  // Large files have too many notes to spread into Math.max
+  const end = notes.reduce((last, note) => Math.max(last, note.time + note.duration), 0);
+  events.push({ time: end, value: 0 });
+  return events;
+}
+
 /**
  * Generate a new MIDI file with piano arrangement
  * @param {Object} header - Original MIDI header
  * @param {Object} arrangement - Piano arrangement with right and left hands
+ * @param {Object} [controls] - Control changes from collectControlChanges
+ * @param {Object} [logger] - Logger from createLogger
+ * @param {Array} [keySignatures] - Key signatures to write instead of the
+ *   header's, in the header's ticks
  * @returns {Midi} - New MIDI object
  */
-function generatePianoMidi(header, arrangement) {
+function generatePianoMidi(header, arrangement, controls = null, logger = silentLogger, keySignatures = header.keySignatures) {
   const output = new Midi();
   
-  // Copy header information
-  output.header.tempos = header.tempos;
-  output.header.timeSignatures = header.timeSignatures;
-  output.header.keySignatures = header.keySignatures;
-  output.header.meta = header.meta;
+  // Copy header information, rescaled to the new file's resolution
+  const scale = output.header.ppq / header.ppq;
+  const rescale = event => ({ ...event, ticks: Math.round(event.ticks * scale) });
+  output.header.tempos = header.tempos.map(rescale);
+  output.header.timeSignatures = header.timeSignatures.map(rescale);
+  output.header.keySignatures = keySignatures.map(rescale);
+  output.header.meta = header.meta.map(rescale);
   output.header.name = header.name;
+  output.header.update();
   
-  console.log('\nGenerating MIDI with:', {
+  logger.debug('Generating MIDI with:', {
     rightHandNotes: arrangement.rightHand.length,
     leftHandNotes: arrangement.leftHand.length
   });
 
   // Log some sample notes for debugging
   if (arrangement.rightHand.length > 0) {
-    console.log('Sample right hand note:', arrangement.rightHand[0]);
+    logger.debug('Sample right hand note:', arrangement.rightHand[0]);
   }
   if (arrangement.leftHand.length > 0) {
-    console.log('Sample left hand note:', arrangement.leftHand[0]);
+    logger.debug('Sample left hand note:', arrangement.leftHand[0]);
   }
   
   // Create right hand track
@@ -419,7 +2137,7 @@ function generatePianoMidi(header, arrangement) {
         velocity: note.velocity || 64 // Default velocity if not specified
       });
     } catch (error) {
-      console.error(`Error adding right hand note ${index}:`, note, error);
+      logger.error(`Error adding right hand note ${index}:`, note, error);
     }
   });
   
@@ -438,20 +2156,35 @@ function generatePianoMidi(header, arrangement) {
         velocity: note.velocity || 64 // Default velocity if not specified
       });
     } catch (error) {
-      console.error(`Error adding left hand note ${index}:`, note, error);
+      logger.error(`Error adding left hand note ${index}:`, note, error);
     }
   });
   
-  console.log('Generated MIDI tracks:', {
+  if (controls) {
+    // Both hands get the same pedal, so either track played alone still
+    // sounds as it should
+    [rightTrack, leftTrack].forEach(track => {
+      controls.pedal.forEach(event => {
+        track.addCC({ number: CC_SUSTAIN, time: event.time, value: event.value });
+      });
+    });
+
+    [[rightTrack, controls.right], [leftTrack, controls.left]].forEach(([track, hand]) => {
+      hand.controlChanges.forEach(cc => track.addCC(cc));
+      hand.pitchBends.forEach(bend => track.addPitchBend(bend));
+    });
+  }
+  
+  logger.info('Generated MIDI tracks:', {
     rightTrackNotes: rightTrack.notes.length,
     leftTrackNotes: leftTrack.notes.length
   });
 
   // Verify the tracks have notes
   if (rightTrack.notes.length === 0 && leftTrack.notes.length === 0) {
-    console.error('WARNING: No notes in output tracks!');
-    console.error('Right hand arrangement:', arrangement.rightHand.length, 'notes');
-    console.error('Left hand arrangement:', arrangement.leftHand.length, 'notes');
+    logger.warn('WARNING: No notes in output tracks!');
+    logger.warn('Right hand arrangement:', arrangement.rightHand.length, 'notes');
+    logger.warn('Left hand arrangement:', arrangement.leftHand.length, 'notes');
   }
   
   return output;
@@ -459,8 +2192,23 @@ function generatePianoMidi(header, arrangement) {
 
 // Export functions
 module.exports = {
+  DEFAULT_OPTIONS,
+  DIFFICULTY_LEVELS,
+  KEYBOARD_RANGES,
+  optimizeMidi,
   optimizeMidiForPiano,
+  analyzeMidi,
+  describeTracks,
   analyzeMidiTracks,
   createPianoArrangement,
+  consolidateNotes,
+  cleanupArrangement,
+  simplifyArrangement,
+  fitKeyboardRange,
+  computeSplitCurve,
+  getMeasureStartTimes,
+  optimizeSimultaneousNotes,
+  enforceHandSpan,
+  collectControlChanges,
   generatePianoMidi
 };
@@ -0,0 +1,182 @@
+/**
+ * Playability
+ *
+ * Checks whether an arrangement can be played by two hands and rates how
+ * hard it is. Problems are flagged per measure: more notes at once than a
+ * hand is allowed, chords wider than the hand span, leaps too fast for a
+ * hand to travel, and hands crossing or striking the same key. The
+ * difficulty score from 0 to 10 weighs note density, chord size, stretch
+ * and hand movement.
+ */
+
+const { groupByOnset } = require('./voice-extraction');
+const { TIME_EPSILON, measureIndexAt } = require('./timing');
+
+const PLAYABILITY = {
+  leapDistance: 12,   // Moves up to an octave are covered by the fingers
+  maxLeapSpeed: 100,  // Fastest a hand travels, in semitones per second
+  // The hardest value of each part of the difficulty score
+  hardDensity: 12,    // Notes per second, both hands together
+  hardChordSize: 5,   // Notes per chord
+  hardStretch: 12,    // Average chord width in semitones
+  hardMovement: 40    // Hand travel in semitones per second, both hands together
+};
+
+const DIFFICULTY_LEVELS = [
+  { below: 3, level: 'easy' },
+  { below: 5, level: 'moderate' },
+  { below: 7, level: 'hard' },
+  { below: Infinity, level: 'very hard' }
+];
+
+// Issues that make an arrangement unplayable; crossings can be played
+const BLOCKING_ISSUES = ['polyphony', 'stretch', 'leap', 'collision'];
+
+/**
+ * Check an arrangement for playability problems and rate its difficulty
+ * @param {Object} arrangement - Piano arrangement with right and left hands
+ * @param {Object} config - Configuration options (maxRightHandNotes,
+ *   maxLeftHandNotes and maxHandSpan)
+ * @param {Array} measureStarts - Start time of every measure in seconds
+ * @returns {Object} - { playable, difficulty, level, issues, measures }
+ *   where issues counts each kind of problem and measures lists the
+ *   measures (numbered from 1) that have problems
+ */
+function analyzePlayability(arrangement, config, measureStarts) {
+  const limits = { right: config.maxRightHandNotes, left: config.maxLeftHandNotes };
+  const hands = { right: arrangement.rightHand, left: arrangement.leftHand };
+  const found = [];
+
+  // Polyphony, stretch and the hands against each other at every onset
+  forEachOnset(hands, (time, sounding) => {
+    ['right', 'left'].forEach(hand => {
+      const notes = sounding[hand];
+      if (notes.length > limits[hand]) {
+        found.push({ type: 'polyphony', hand, time, notes: notes.length, limit: limits[hand] });
+      }
+      const span = spanOf(notes);
+      if (span > config.maxHandSpan) {
+        found.push({ type: 'stretch', hand, time, span, limit: config.maxHandSpan });
+      }
+    });
+
+    if (sounding.right.length === 0 || sounding.left.length === 0) return;
+    const shared = sounding.right.find(note => sounding.left.some(other => other.midi === note.midi));
+    const lowestRight = Math.min(...sounding.right.map(note => note.midi));
+    const highestLeft = Math.max(...sounding.left.map(note => note.midi));
+    if (shared) {
+      found.push({ type: 'collision', time, midi: shared.midi });
+    } else if (lowestRight < highestLeft) {
+      found.push({ type: 'crossing', time, right: lowestRight, left: highestLeft });
+    }
+  });
+
+  // Leaps between consecutive onsets of one hand
+  const movement = { travel: 0, chordSizes: [], spans: [] };
+  ['right', 'left'].forEach(hand => {
+    const groups = groupByOnset(hands[hand]);
+    groups.forEach((group, index) => {
+      movement.chordSizes.push(group.notes.length);
+      movement.spans.push(spanOf(group.notes));
+      if (index === 0) return;
+
+      const previous = groups[index - 1];
+      const distance = Math.abs(centerOf(group.notes) - centerOf(previous.notes));
+      const seconds = group.time - previous.time;
+      movement.travel += distance;
+      if (distance > PLAYABILITY.leapDistance && distance / seconds > PLAYABILITY.maxLeapSpeed) {
+        found.push({ type: 'leap', hand, time: group.time, distance, seconds: Math.round(seconds * 1000) / 1000 });
+      }
+    });
+  });
+
+  const issues = { polyphony: 0, stretch: 0, leap: 0, crossing: 0, collision: 0 };
+  const measures = new Map();
+  found
+    .sort((a, b) => a.time - b.time)
+    .forEach(issue => {
+      issues[issue.type]++;
+      const index = measureIndexAt(measureStarts, issue.time);
+      if (!measures.has(index)) {
+        measures.set(index, { measure: index + 1, time: measureStarts[index], issues: [] });
+      }
+      measures.get(index).issues.push(issue);
+    });
+
+  const difficulty = rateDifficulty(hands, movement);
+  return {
+    playable: BLOCKING_ISSUES.every(type => issues[type] === 0),
+    difficulty,
+    level: DIFFICULTY_LEVELS.find(entry => difficulty < entry.below).level,
+    issues,
+    measures: Array.from(measures.values())
+  };
+}
+
+/**
+ * Call back at every onset with the notes each hand is holding then,
+ * including notes struck earlier that are still sounding
+ * @param {Object} hands - { right, left } notes
+ * @param {Function} callback - Called with (time, { right, left })
+ */
+function forEachOnset(hands, callback) {
+  const notes = [
+    ...hands.right.map(note => ({ note, hand: 'right' })),
+    ...hands.left.map(note => ({ note, hand: 'left' }))
+  ].sort((a, b) => a.note.time - b.note.time);
+
+  let active = [];
+  let i = 0;
+  while (i < notes.length) {
+    const time = notes[i].note.time;
+    while (i < notes.length && notes[i].note.time - time <= TIME_EPSILON) {
+      active.push(notes[i]);
+      i++;
+    }
+    active = active.filter(entry => entry.note.time + entry.note.duration > time + TIME_EPSILON);
+    callback(time, {
+      right: active.filter(entry => entry.hand === 'right').map(entry => entry.note),
+      left: active.filter(entry => entry.hand === 'left').map(entry => entry.note)
+    });
+  }
+}
+
+/**
+ * Rate the difficulty from 0 (trivial) to 10 from how many notes there
+ * are, how full and wide the chords are and how far the hands travel
+ * @returns {number} - Score rounded to one decimal
+ */
+function rateDifficulty(hands, movement) {
+  const notes = [...hands.right, ...hands.left];
+  if (notes.length === 0) return 0;
+
+  // Large files have too many notes to spread into Math.min/max
+  const start = notes.reduce((first, note) => Math.min(first, note.time), Infinity);
+  const end = notes.reduce((last, note) => Math.max(last, note.time + note.duration), -Infinity);
+  const duration = Math.max(1, end - start);
+  const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const part = (value, hardest) => Math.min(1, Math.max(0, value / hardest));
+
+  const score =
+    0.35 * part(notes.length / duration, PLAYABILITY.hardDensity) +
+    0.2 * part(average(movement.chordSizes) - 1, PLAYABILITY.hardChordSize - 1) +
+    0.2 * part(average(movement.spans), PLAYABILITY.hardStretch) +
+    0.25 * part(movement.travel / duration, PLAYABILITY.hardMovement);
+  return Math.round(score * 100) / 10;
+}
+
+function spanOf(notes) {
+  if (notes.length < 2) return 0;
+  const pitches = notes.map(note => note.midi);
+  return Math.max(...pitches) - Math.min(...pitches);
+}
+
+function centerOf(notes) {
+  const pitches = notes.map(note => note.midi);
+  return (Math.max(...pitches) + Math.min(...pitches)) / 2;
+}
+
+module.exports = {
+  PLAYABILITY,
+  analyzePlayability
+};
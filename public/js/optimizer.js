@@ -4,16 +4,213 @@ document.addEventListener('DOMContentLoaded', () => {
     const results = document.querySelector('.results');
     const stats = document.querySelector('.stats');
     const downloadLink = document.querySelector('.download-link');
+    const sheetMusicLink = document.querySelector('.sheet-music-link');
+    const previewNotice = document.querySelector('.preview-notice');
+    const singleResult = document.querySelector('.single-result');
+    const jobProgress = document.querySelector('.job-progress');
+    const progressBar = jobProgress.querySelector('.progress-bar');
+    const loadingMessage = document.querySelector('.loading-message');
+    const midiFile = document.getElementById('midiFile');
+    const pianoRoll = createPianoRoll(document.getElementById('pianoRoll'));
+    let lastResult = null;
+    
+    // Play back whatever the piano roll shows, with a playhead on the roll
+    const playButton = document.querySelector('.play-button');
+    const seek = document.getElementById('seek');
+    const playerTime = document.querySelector('.player-time');
+    const formatTime = seconds => `${Math.floor(seconds / 60)}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+    const player = createPlayer({
+        onPosition: time => {
+            pianoRoll.setPlayhead(time);
+            seek.value = time;
+            playerTime.textContent = formatTime(time);
+        },
+        onEnd: () => {
+            playButton.textContent = 'Play';
+        }
+    });
+    const showNotes = (notes, split) => {
+        pianoRoll.render(notes, split);
+        player.setNotes(notes);
+        seek.max = player.getDuration();
+        pianoRoll.setPlayhead(player.getPosition());
+    };
+    
+    playButton.addEventListener('click', () => {
+        if (player.isPlaying()) {
+            player.pause();
+            playButton.textContent = 'Play';
+        } else {
+            player.play();
+            playButton.textContent = 'Pause';
+        }
+    });
+    seek.addEventListener('input', () => player.seek(parseFloat(seek.value)));
+    document.getElementById('pianoRoll').addEventListener('click', (e) => {
+        player.seek(pianoRoll.timeAt(e.offsetX));
+    });
+    document.getElementById('playbackRate').addEventListener('change', (e) => {
+        player.setRate(parseFloat(e.target.value));
+    });
+    document.querySelectorAll('.player [data-hand]').forEach(input => {
+        input.addEventListener('change', () => {
+            const setting = input.dataset.control === 'mute' ? player.setMuted : player.setSolo;
+            setting(input.dataset.hand, input.checked);
+        });
+    });
+    
+    // Redraw the last result with the current slider settings
+    const renderPreview = () => {
+        if (!lastResult) return;
+        const settings = {
+            splitPoint: parseInt(document.getElementById('splitPoint').value, 10),
+            maxRightHandNotes: parseInt(document.getElementById('maxRightHandNotes').value, 10),
+            maxLeftHandNotes: parseInt(document.getElementById('maxLeftHandNotes').value, 10)
+        };
+        showNotes(
+            previewArrangement(lastResult.draftArrangement, settings),
+            [{ time: 0, splitPoint: settings.splitPoint }]
+        );
+        previewNotice.style.display = 'block';
+    };
     
     // Update range input displays
     document.getElementById('maxRightHandNotes').addEventListener('input', (e) => {
         document.getElementById('rightHandValue').textContent = e.target.value;
+        renderPreview();
     });
     
     document.getElementById('maxLeftHandNotes').addEventListener('input', (e) => {
         document.getElementById('leftHandValue').textContent = e.target.value;
+        renderPreview();
+    });
+    
+    // List the tracks of the chosen file so each can be overridden
+    const trackSettings = document.querySelector('.track-settings');
+    const trackTable = document.getElementById('trackTable');
+    const escapeHtml = text => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    // Difficulty and any passages still too hard to play, by measure
+    const describePlayability = playability => {
+        const problems = Object.entries(playability.issues)
+            .filter(([, count]) => count > 0)
+            .map(([type, count]) => `${count} ${type}`);
+        const measures = playability.measures.map(entry => entry.measure);
+        return `
+            <p>Difficulty: ${playability.difficulty}/10 (${playability.level})</p>
+            ${problems.length > 0 ? `
+                <p class="${playability.playable ? '' : 'text-danger'}">
+                    Playability Problems: ${problems.join(', ')} in measure${measures.length > 1 ? 's' : ''} ${measures.join(', ')}
+                </p>` : ''}`;
+    };
+    // Average velocity of each voice after balancing
+    const describeLevels = levels => [['melody', 'melody'], ['inner', 'inner voices'], ['bass', 'bass']]
+        .filter(([role]) => levels[role] !== null)
+        .map(([role, label]) => `${label} ${levels[role]}`)
+        .join(', ');
+    const select = (name, options) => `
+        <select class="form-select form-select-sm" data-setting="${name}">
+            ${options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>`;
+    
+    // Start the form from the library's defaults, and let a preset fill it in
+    const presetSelect = document.getElementById('preset');
+    let defaults = {};
+    let presets = {};
+    const applySettings = settings => {
+        Object.entries(settings).forEach(([name, value]) => {
+            const input = form.elements[name];
+            if (!input || input.type === 'file') return;
+            if (input.type === 'checkbox') {
+                // The fingering box stands for writing fingerings as lyrics
+                input.checked = name === 'fingeringOutput' ? value === 'lyrics' : Boolean(value);
+            } else {
+                input.value = String(value);
+            }
+            input.dispatchEvent(new Event('input'));
+        });
+    };
+    
+    fetch('/presets')
+        .then(response => response.json())
+        .then(data => {
+            defaults = data.defaults;
+            presets = data.presets;
+            Object.entries(presets).forEach(([name, preset]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = `${name} - ${preset.description}`;
+                presetSelect.appendChild(option);
+            });
+            applySettings(defaults);
+        })
+        .catch(error => console.error('Error loading presets:', error));
+    
+    presetSelect.addEventListener('change', () => {
+        const preset = presets[presetSelect.value];
+        applySettings({ ...defaults, ...(preset ? preset.options : {}) });
+    });
+    
+    // Several files or a ZIP archive are optimized as a batch
+    const isBatch = files => files.length > 1 || (files.length === 1 && /\.zip$/i.test(files[0].name));
+    
+    midiFile.addEventListener('change', async (e) => {
+        trackSettings.style.display = 'none';
+        trackTable.innerHTML = '';
+        // Track overrides only make sense for a single file
+        if (!e.target.files.length || isBatch(e.target.files)) return;
+        
+        const formData = new FormData();
+        formData.append('midiFile', e.target.files[0]);
+        
+        try {
+            const response = await fetch('/tracks', { method: 'POST', body: formData });
+            const data = await response.json();
+            if (data.error) {
+                throw new Error(data.error);
+            }
+            
+            trackTable.innerHTML = data.tracks.map(track => `
+                <tr data-track="${track.index}">
+                    <td>${escapeHtml(track.name)}<br><small class="text-muted">${escapeHtml(track.instrument)}</small></td>
+                    <td>${track.noteCount}</td>
+                    <td>${select('role', [
+                        ['', `Auto (${track.skipped || track.role})`],
+                        ['melody', 'Melody'],
+                        ['bass', 'Bass'],
+                        ['harmony', 'Harmony'],
+                        ['ignore', 'Ignore']
+                    ])}</td>
+                    <td>${select('hand', [['', 'Auto'], ['right', 'Right'], ['left', 'Left']])}</td>
+                    <td>${select('transpose', [['-2', '-2'], ['-1', '-1'], ['0', '0'], ['1', '+1'], ['2', '+2']])}</td>
+                </tr>
+            `).join('');
+            trackTable.querySelectorAll('[data-setting="transpose"]').forEach(input => {
+                input.value = '0';
+            });
+            trackSettings.style.display = 'block';
+        } catch (error) {
+            alert('Error: ' + error.message);
+        }
     });
     
+    // Only tracks the user changed are sent as overrides
+    const collectTrackOverrides = () => {
+        const overrides = {};
+        trackTable.querySelectorAll('tr').forEach(row => {
+            const override = {};
+            const role = row.querySelector('[data-setting="role"]').value;
+            const hand = row.querySelector('[data-setting="hand"]').value;
+            const transpose = parseInt(row.querySelector('[data-setting="transpose"]').value, 10);
+            if (role) override.role = role;
+            if (hand) override.hand = hand;
+            if (transpose) override.transpose = transpose;
+            if (Object.keys(override).length > 0) {
+                overrides[row.dataset.track] = override;
+            }
+        });
+        return overrides;
+    };
+    
     // Handle split point display
     const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
     document.getElementById('splitPoint').addEventListener('input', (e) => {
@@ -21,39 +218,160 @@ document.addEventListener('DOMContentLoaded', () => {
         const octave = Math.floor(midiNote / 12) - 1;
         const noteName = noteNames[midiNote % 12];
         document.getElementById('noteDisplay').textContent = `${noteName}${octave}`;
+        renderPreview();
     });
     
+    // Follow a queued job until it is done, showing its progress
+    const showProgress = percent => {
+        progressBar.style.width = `${percent}%`;
+        loadingMessage.textContent = `Optimizing your MIDI file... ${percent}%`;
+    };
+    const waitForJob = async (statusLink) => {
+        for (;;) {
+            const response = await fetch(statusLink);
+            const job = await response.json();
+            if (!response.ok || job.status === 'failed') {
+                throw new Error(job.error);
+            }
+            showProgress(job.progress);
+            if (job.status === 'done') {
+                return job;
+            }
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+    };
+    
+    // Optimize all chosen files into one ZIP and list how each one went
+    const submitBatch = async (formData) => {
+        formData.delete('midiFile');
+        formData.delete('trackOverrides');
+        Array.from(midiFile.files).forEach(file => formData.append('midiFiles', file));
+        
+        const response = await fetch('/batch', {
+            method: 'POST',
+            body: formData
+        });
+        
+        const data = await response.json();
+        
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        
+        stats.innerHTML = `
+            <p>${escapeHtml(data.message)}</p>
+            <table class="table table-sm batch-report">
+                <thead>
+                    <tr><th>File</th><th>Result</th></tr>
+                </thead>
+                <tbody>
+                    ${data.files.map(file => `
+                        <tr>
+                            <td>${escapeHtml(file.name)}</td>
+                            <td>${file.success
+                                ? `${file.stats.rightHandNotes} right, ${file.stats.leftHandNotes} left hand notes, ${Math.round(file.stats.duration)} seconds, difficulty ${file.stats.difficulty}/10${file.stats.playable ? '' : ' <span class="text-danger">(not playable)</span>'}`
+                                : `<span class="text-danger">${escapeHtml(file.error)}</span>`}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        
+        downloadLink.href = data.downloadLink;
+        downloadLink.textContent = 'Download Results (ZIP)';
+        sheetMusicLink.style.display = 'none';
+        
+        // There's no single arrangement to preview or play
+        lastResult = null;
+        player.pause();
+        playButton.textContent = 'Play';
+        singleResult.style.display = 'none';
+        results.style.display = 'block';
+    };
+    
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
         
         const formData = new FormData(form);
+        // Unchecked boxes are left out of the form data entirely
+        formData.set('dynamicSplitPoint', document.getElementById('dynamicSplitPoint').checked);
+        formData.set('synthesizePedal', document.getElementById('synthesizePedal').checked);
+        formData.set('trackOverrides', JSON.stringify(collectTrackOverrides()));
+        formData.set('consolidateTracks', document.getElementById('consolidateTracks').checked);
+        formData.set('mergeUnisons', document.getElementById('mergeUnisons').checked);
+        formData.set('trimOverlaps', document.getElementById('trimOverlaps').checked);
+        formData.set('chordSymbols', document.getElementById('chordSymbols').checked);
+        formData.set('balanceDynamics', document.getElementById('balanceDynamics').checked);
+        formData.set('fingeringOutput', document.getElementById('fingeringOutput').checked ? 'lyrics' : 'none');
         
         loading.style.display = 'block';
         results.style.display = 'none';
+        jobProgress.style.display = isBatch(midiFile.files) ? 'none' : '';
+        showProgress(0);
+        
+        if (isBatch(midiFile.files)) {
+            try {
+                await submitBatch(formData);
+            } catch (error) {
+                alert('Error: ' + error.message);
+            } finally {
+                loading.style.display = 'none';
+            }
+            return;
+        }
         
         try {
-            const response = await fetch('/optimize', {
+            const response = await fetch('/jobs', {
                 method: 'POST',
                 body: formData
             });
             
-            const data = await response.json();
+            const queued = await response.json();
             
-            if (data.error) {
-                throw new Error(data.error);
+            if (queued.error) {
+                throw new Error(queued.error);
             }
             
+            // The job has the statistics and links, the result the notes
+            const job = await waitForJob(queued.statusLink);
+            const preview = await (await fetch(`${job.downloadLink}?format=arrangement`)).json();
+            const data = { ...job, ...preview };
+            
             // Update results
             stats.innerHTML = `
                 <p>Original Tracks: ${data.stats.originalTracks}</p>
                 <p>Right Hand Notes: ${data.stats.rightHandNotes}</p>
                 <p>Left Hand Notes: ${data.stats.leftHandNotes}</p>
                 <p>Duration: ${Math.round(data.stats.duration)} seconds</p>
+                ${data.stats.consolidation ? `<p>Notes Merged Across Tracks: ${data.stats.consolidation.merged}</p>` : ''}
+                <p>Cleanup: ${data.stats.cleanup.merged} unisons merged, ${data.stats.cleanup.trimmed} overlaps trimmed${data.stats.cleanup.quantized ? `, ${data.stats.cleanup.quantized} notes quantized` : ''}</p>
+                <p>Hand Span Adjustments: ${data.stats.handSpan.adjustments.length}</p>
+                ${data.stats.keyboardRange.folded + data.stats.keyboardRange.merged + data.stats.keyboardRange.dropped > 0 ? `<p>Folded Onto the Keyboard: ${data.stats.keyboardRange.folded} notes, ${data.stats.keyboardRange.merged} merged, ${data.stats.keyboardRange.dropped} dropped</p>` : ''}
+                ${data.stats.chords.length > 0 ? `<p>Chords: ${data.stats.chords.slice(0, 8).map(chord => chord.symbol).join(' ')}${data.stats.chords.length > 8 ? ' ...' : ''}</p>` : ''}
+                ${data.stats.key ? `<p>Key: ${data.stats.key.from}${data.stats.key.detected ? ' (detected)' : ''}${data.stats.key.transpose ? `, moved to ${data.stats.key.to}` : ''}</p>` : ''}
+                ${data.stats.dynamics ? `<p>Dynamics: ${describeLevels(data.stats.dynamics.after)}</p>` : ''}
+                ${describePlayability(data.stats.playability)}
+                ${data.stats.pedal ? `<p>Pedal Events: ${data.stats.pedal.events}${data.stats.pedal.synthesized ? ' (added)' : ''}</p>` : ''}
             `;
             
             downloadLink.href = data.downloadLink;
+            downloadLink.textContent = 'Download Piano Version';
+            sheetMusicLink.href = data.musicXmlLink;
+            sheetMusicLink.style.display = '';
+            singleResult.style.display = '';
             
             results.style.display = 'block';
+            
+            // Show the arrangement as optimized, with the split actually used
+            lastResult = data;
+            player.pause();
+            player.seek(0);
+            playButton.textContent = 'Play';
+            showNotes(
+                arrangementNotes(data.arrangement),
+                data.splitCurve || [{ time: 0, splitPoint: parseInt(formData.get('splitPoint'), 10) }]
+            );
+            previewNotice.style.display = 'none';
         } catch (error) {
             alert('Error: ' + error.message);
         } finally {
@@ -0,0 +1,209 @@
+/**
+ * Piano Roll
+ *
+ * Draws an arrangement on a canvas, time running left to right and pitch
+ * bottom to top: right-hand notes in blue, left-hand notes in green and the
+ * split between the hands as a dashed line. Notes a preview would drop are
+ * drawn as outlines only. The playhead is a separate element laid over the
+ * canvas, so moving it doesn't redraw the notes.
+ */
+
+const PIANO_ROLL = {
+    pixelsPerSecond: 40,
+    keyHeight: 5,
+    maxWidth: 30000, // Browsers refuse larger canvases
+    colors: {
+        right: '#0066cc',
+        rightMelody: '#003d7a',
+        left: '#28a745',
+        leftMelody: '#1a6b2d',
+        dropped: '#999',
+        blackKey: '#f1f3f5',
+        octave: '#dee2e6',
+        split: '#dc3545',
+        label: '#888'
+    }
+};
+
+const BLACK_KEYS = [1, 3, 6, 8, 10];
+
+/**
+ * Create a piano roll on a canvas
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on, inside a scrolling
+ *   container; it is resized to fit the notes
+ * @returns {Object} - { render, setPlayhead, timeAt }
+ */
+function createPianoRoll(canvas) {
+    const context = canvas.getContext('2d');
+    const container = canvas.parentNode;
+    const playhead = document.createElement('div');
+    playhead.className = 'piano-roll-playhead';
+    container.appendChild(playhead);
+    let view = null;
+
+    function draw() {
+        if (!view) return;
+        const { notes, low, high, width, height, pixelsPerSecond } = view;
+        const { keyHeight, colors } = PIANO_ROLL;
+        const y = midi => (high - midi) * keyHeight;
+
+        context.setTransform(view.scale, 0, 0, view.scale, 0, 0);
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, width, height);
+
+        // Keyboard stripes and a labelled line at every C
+        for (let midi = low; midi <= high; midi++) {
+            if (BLACK_KEYS.includes(midi % 12)) {
+                context.fillStyle = colors.blackKey;
+                context.fillRect(0, y(midi), width, keyHeight);
+            }
+            if (midi % 12 === 0) {
+                context.fillStyle = colors.octave;
+                context.fillRect(0, y(midi) + keyHeight - 1, width, 1);
+                context.fillStyle = colors.label;
+                context.font = '9px sans-serif';
+                context.fillText(`C${midi / 12 - 1}`, 2, y(midi) + keyHeight - 2);
+            }
+        }
+
+        // Split line, stepping with the dynamic split curve
+        context.strokeStyle = colors.split;
+        context.setLineDash([4, 3]);
+        context.beginPath();
+        view.split.forEach((point, index) => {
+            const x = point.time * pixelsPerSecond;
+            const next = view.split[index + 1];
+            const end = next ? next.time * pixelsPerSecond : width;
+            const splitY = y(point.splitPoint) + keyHeight;
+            if (index === 0) context.moveTo(x, splitY);
+            context.lineTo(x, splitY);
+            context.lineTo(end, splitY);
+        });
+        context.stroke();
+        context.setLineDash([]);
+
+        notes.forEach(note => {
+            const x = note.time * pixelsPerSecond;
+            const w = Math.max(1, note.duration * pixelsPerSecond - 1);
+            if (note.dropped) {
+                context.strokeStyle = colors.dropped;
+                context.strokeRect(x + 0.5, y(note.midi) + 0.5, w - 1, keyHeight - 2);
+                return;
+            }
+            context.fillStyle = colors[note.hand + (note.melody ? 'Melody' : '')];
+            context.fillRect(x, y(note.midi), w, keyHeight - 1);
+        });
+    }
+
+    return {
+        /**
+         * Draw notes tagged with hand ('right' or 'left') and optionally
+         * dropped
+         * @param {Array} notes - Notes with midi, time, duration and hand
+         * @param {Array} split - [{ time, splitPoint }] steps of the split
+         */
+        render(notes, split) {
+            // Large files have too many notes to spread into Math.min/max
+            const low = Math.max(0, notes.reduce((min, note) => Math.min(min, note.midi), 60) - 2);
+            const high = Math.min(127, notes.reduce((max, note) => Math.max(max, note.midi), 60) + 2);
+            const duration = notes.reduce((end, note) => Math.max(end, note.time + note.duration), 1);
+            const pixelsPerSecond = Math.min(PIANO_ROLL.pixelsPerSecond, PIANO_ROLL.maxWidth / duration);
+            const width = Math.ceil(duration * pixelsPerSecond);
+            const height = (high - low + 1) * PIANO_ROLL.keyHeight;
+            const scale = Math.min(window.devicePixelRatio || 1, PIANO_ROLL.maxWidth / width);
+
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            canvas.style.width = `${width}px`;
+            canvas.style.height = `${height}px`;
+            view = { notes, split, low, high, width, height, pixelsPerSecond, scale };
+            draw();
+        },
+
+        /**
+         * Move the playhead, or hide it with null, scrolling to keep it in
+         * view
+         * @param {number|null} time - Position in seconds
+         */
+        setPlayhead(time) {
+            if (time === null || !view) {
+                playhead.style.display = 'none';
+                return;
+            }
+            const x = time * view.pixelsPerSecond;
+            playhead.style.display = 'block';
+            playhead.style.height = `${view.height}px`;
+            playhead.style.transform = `translateX(${x}px)`;
+            if (x < container.scrollLeft || x > container.scrollLeft + container.clientWidth - 20) {
+                container.scrollLeft = Math.max(0, x - 40);
+            }
+        },
+
+        /**
+         * Time under a horizontal position on the canvas
+         * @param {number} x - Offset from the canvas' left edge in pixels
+         * @returns {number} - Time in seconds
+         */
+        timeAt(x) {
+            return view ? Math.max(0, x / view.pixelsPerSecond) : 0;
+        }
+    };
+}
+
+/**
+ * Tag the notes of an arrangement with their hand for drawing
+ * @param {Object} arrangement - { rightHand, leftHand } notes
+ * @returns {Array} - Note copies with hand set
+ */
+function arrangementNotes(arrangement) {
+    return [
+        ...arrangement.rightHand.map(note => ({ ...note, hand: 'right' })),
+        ...arrangement.leftHand.map(note => ({ ...note, hand: 'left' }))
+    ];
+}
+
+/**
+ * Approximate the optimizer's hand split and polyphony limits on the draft
+ * arrangement, so settings can be previewed without another upload.
+ * Preserved and pinned notes keep their hand; the rest split at the split
+ * point. A note starting while its hand is full is marked dropped, unless
+ * it is preserved, in which case the hand's innermost note gives way.
+ * @param {Object} draft - { rightHand, leftHand } before any limits
+ * @param {Object} settings - { splitPoint, maxRightHandNotes, maxLeftHandNotes }
+ * @returns {Array} - Notes with hand and dropped set
+ */
+function previewArrangement(draft, settings) {
+    const notes = arrangementNotes(draft).sort((a, b) => a.time - b.time);
+    const limits = { right: settings.maxRightHandNotes, left: settings.maxLeftHandNotes };
+    const sounding = { right: [], left: [] };
+
+    notes.forEach(note => {
+        if (!note.locked && !note.fixedHand) {
+            note.hand = note.midi >= settings.splitPoint ? 'right' : 'left';
+        }
+
+        const hand = note.hand;
+        sounding[hand] = sounding[hand].filter(other => other.time + other.duration > note.time + 1e-6);
+        if (sounding[hand].length < limits[hand]) {
+            sounding[hand].push(note);
+            return;
+        }
+
+        if (!note.locked) {
+            note.dropped = true;
+            return;
+        }
+
+        // Give way from the middle of the hand, keeping its outer voice
+        const candidates = sounding[hand]
+            .filter(other => !other.locked)
+            .sort((a, b) => hand === 'right' ? a.midi - b.midi : b.midi - a.midi);
+        if (candidates.length > 0) {
+            candidates[0].dropped = true;
+            sounding[hand].splice(sounding[hand].indexOf(candidates[0]), 1);
+        }
+        sounding[hand].push(note);
+    });
+
+    return notes;
+}
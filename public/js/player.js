@@ -0,0 +1,203 @@
+/**
+ * Player
+ *
+ * Plays an arrangement in the browser with a small built-in synth through
+ * Web Audio, so a split can be heard before downloading. Notes are
+ * scheduled a little ahead of time from a timer; each hand runs through its
+ * own gain node, so muting and soloing take effect immediately.
+ */
+
+const PLAYER = {
+    lookahead: 0.2,       // Seconds of audio scheduled ahead of the clock
+    interval: 25,         // Milliseconds between scheduling passes
+    volume: 0.12,         // Peak level of a note at full velocity
+    release: 0.08         // Fade-out after a note ends, in seconds
+};
+
+/**
+ * Create a player
+ * @param {Object} [callbacks] - { onPosition(time), onEnd() } called as
+ *   playback moves and when it reaches the end
+ * @returns {Object} - Player controls
+ */
+function createPlayer(callbacks = {}) {
+    let audio = null;
+    let hands = null;
+    let notes = [];
+    let duration = 0;
+    let rate = 1;
+    let playing = false;
+    let offset = 0;       // Song position when playback (re)started
+    let startedAt = 0;    // Audio clock at that moment
+    let nextIndex = 0;
+    let timer = null;
+    let frame = null;
+    const voices = new Set();
+    const muted = { right: false, left: false };
+    const soloed = { right: false, left: false };
+
+    function ensureAudio() {
+        if (audio) return;
+        audio = new (window.AudioContext || window.webkitAudioContext)();
+        hands = {};
+        ['right', 'left'].forEach(hand => {
+            hands[hand] = audio.createGain();
+            hands[hand].connect(audio.destination);
+        });
+        updateGains();
+    }
+
+    function updateGains() {
+        if (!hands) return;
+        const anySolo = soloed.right || soloed.left;
+        ['right', 'left'].forEach(hand => {
+            const audible = anySolo ? soloed[hand] : !muted[hand];
+            hands[hand].gain.setValueAtTime(audible ? 1 : 0, audio.currentTime);
+        });
+    }
+
+    function position() {
+        if (!playing) return offset;
+        return offset + (audio.currentTime - startedAt) * rate;
+    }
+
+    // A triangle wave with a quick attack and a piano-like decay
+    function playNote(note, start, length) {
+        const oscillator = audio.createOscillator();
+        const gain = audio.createGain();
+        const peak = PLAYER.volume * (note.velocity || 0.7);
+        const end = start + length;
+
+        oscillator.type = 'triangle';
+        oscillator.frequency.value = 440 * Math.pow(2, (note.midi - 69) / 12);
+        gain.gain.setValueAtTime(0, start);
+        gain.gain.linearRampToValueAtTime(peak, start + 0.01);
+        gain.gain.exponentialRampToValueAtTime(peak * 0.4, start + Math.max(0.011, Math.min(length, 1)));
+        gain.gain.setTargetAtTime(0, end, PLAYER.release / 3);
+
+        oscillator.connect(gain);
+        gain.connect(hands[note.hand]);
+        oscillator.start(start);
+        oscillator.stop(end + PLAYER.release);
+
+        const voice = { oscillator, gain };
+        voices.add(voice);
+        oscillator.onended = () => voices.delete(voice);
+    }
+
+    function schedule() {
+        const horizon = position() + PLAYER.lookahead * rate;
+        while (nextIndex < notes.length && notes[nextIndex].time < horizon) {
+            const note = notes[nextIndex];
+            const start = startedAt + (note.time - offset) / rate;
+            playNote(note, Math.max(start, audio.currentTime), note.duration / rate);
+            nextIndex++;
+        }
+        if (position() >= duration) {
+            pause();
+            seek(0);
+            if (callbacks.onEnd) callbacks.onEnd();
+        }
+    }
+
+    function tick() {
+        if (callbacks.onPosition) callbacks.onPosition(position());
+        if (playing) frame = requestAnimationFrame(tick);
+    }
+
+    function silence() {
+        voices.forEach(voice => {
+            voice.gain.gain.cancelScheduledValues(audio.currentTime);
+            voice.gain.gain.setTargetAtTime(0, audio.currentTime, 0.01);
+            voice.oscillator.stop(audio.currentTime + 0.05);
+        });
+        voices.clear();
+    }
+
+    // First note starting at or after a time
+    function indexAt(time) {
+        let low = 0;
+        let high = notes.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (notes[middle].time < time) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+
+    function play() {
+        if (playing || notes.length === 0) return;
+        ensureAudio();
+        audio.resume();
+        playing = true;
+        startedAt = audio.currentTime;
+        nextIndex = indexAt(offset);
+        schedule();
+        timer = setInterval(schedule, PLAYER.interval);
+        frame = requestAnimationFrame(tick);
+    }
+
+    function pause() {
+        if (!playing) return;
+        offset = position();
+        playing = false;
+        clearInterval(timer);
+        cancelAnimationFrame(frame);
+        silence();
+        if (callbacks.onPosition) callbacks.onPosition(offset);
+    }
+
+    function seek(time) {
+        const wasPlaying = playing;
+        pause();
+        offset = Math.max(0, Math.min(time, duration));
+        if (callbacks.onPosition) callbacks.onPosition(offset);
+        if (wasPlaying) play();
+    }
+
+    return {
+        /**
+         * Replace the notes to play, keeping the position
+         * @param {Array} newNotes - Notes with midi, time, duration, velocity
+         *   and hand; dropped notes are skipped
+         */
+        setNotes(newNotes) {
+            const wasPlaying = playing;
+            pause();
+            notes = newNotes
+                .filter(note => !note.dropped)
+                .sort((a, b) => a.time - b.time);
+            duration = notes.reduce((end, note) => Math.max(end, note.time + note.duration), 0);
+            offset = Math.min(offset, duration);
+            if (wasPlaying) play();
+        },
+        play,
+        pause,
+        seek,
+        isPlaying: () => playing,
+        getPosition: position,
+        getDuration: () => duration,
+
+        /**
+         * Change the playback speed, keeping the position
+         * @param {number} newRate - 1 is the original tempo
+         */
+        setRate(newRate) {
+            const wasPlaying = playing;
+            pause();
+            rate = newRate;
+            if (wasPlaying) play();
+        },
+
+        setMuted(hand, value) {
+            muted[hand] = value;
+            updateGains();
+        },
+
+        setSolo(hand, value) {
+            soloed[hand] = value;
+            updateGains();
+        }
+    };
+}
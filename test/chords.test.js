@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Midi } = require('@tonejs/midi');
+const { recognizeChords, createAccompaniment, createChordMarkers } = require('../chords');
+
+// 120 bpm, so a beat is half a second and a 4/4 measure two seconds
+const createHeader = () => {
+  const { header } = new Midi();
+  header.setTempo(120);
+  header.update();
+  return header;
+};
+const note = (midi, beat, beats, flags = {}) => ({ midi, time: beat * 0.5, duration: beats * 0.5, velocity: 64 / 127, ...flags });
+const chordNotes = (chords, beats) => chords.flatMap((pitches, index) =>
+  pitches.map(midi => note(midi, index * beats, beats)));
+const summary = notes => notes.map(entry => `${entry.midi}@${entry.time}`).join(' ');
+
+// C | Am7 | F/A | G7, a measure each
+const harmony = chordNotes([[60, 64, 67], [57, 60, 64, 67], [57, 60, 65], [55, 59, 62, 65]], 4);
+const bass = [note(36, 0, 4), note(45, 4, 4), note(45, 8, 4), note(43, 12, 4)];
+
+test('recognizeChords names triads, sevenths and slash chords', () => {
+  const chords = recognizeChords([
+    { trackRole: 'harmony', notes: harmony },
+    { trackRole: 'bass', notes: bass }
+  ], createHeader(), 8);
+
+  assert.deepStrictEqual(chords.map(chord => [chord.symbol, chord.time, chord.duration]), [
+    ['C', 0, 2], ['Am7', 2, 2], ['F/A', 4, 2], ['G7', 6, 2]
+  ]);
+  assert.deepStrictEqual(chords[2].intervals, [0, 4, 7]);
+  assert.deepStrictEqual([chords[2].root, chords[2].bass], [5, 9]);
+  assert.strictEqual(chords[0].velocity, 64 / 127);
+});
+
+test('recognizeChords falls back to the non-melody notes without harmony tracks', () => {
+  const notes = [...chordNotes([[48, 52, 55], [53, 57, 60]], 4), note(76, 0, 8, { melody: true })];
+  const chords = recognizeChords([{ trackRole: 'melody', notes }], createHeader(), 4);
+  assert.deepStrictEqual(chords.map(chord => chord.symbol), ['C', 'F']);
+});
+
+test('recognizeChords smooths over one-beat passing chords and silence', () => {
+  // C for two beats, G for one, C again, then a rest
+  const notes = chordNotes([[60, 64, 67], [60, 64, 67], [55, 59, 62], [60, 64, 67]], 1);
+  const chords = recognizeChords([{ trackRole: 'harmony', notes }], createHeader(), 3);
+  assert.deepStrictEqual(chords.map(chord => [chord.symbol, chord.time, chord.duration]), [['C', 0, 3]]);
+});
+
+test('recognizeChords finds nothing without chord tones', () => {
+  assert.deepStrictEqual(recognizeChords([{ trackRole: 'bass', notes: bass }], createHeader(), 8), []);
+});
+
+test('createAccompaniment plays chords in each pattern', () => {
+  const header = createHeader();
+  const chords = recognizeChords([
+    { trackRole: 'harmony', notes: harmony },
+    { trackRole: 'bass', notes: bass }
+  ], header, 8).slice(0, 2);
+  const measures = [0, 2, 4, 6];
+
+  assert.strictEqual(summary(createAccompaniment(chords, 'block', header, measures)),
+    '48@0 52@0 55@0 45@2 48@2 52@2 55@2');
+  assert.strictEqual(summary(createAccompaniment(chords, 'root-fifth', header, measures)),
+    '48@0 55@0.5 48@1 55@1.5 45@2 52@2.5 45@3 52@3.5');
+  assert.strictEqual(summary(createAccompaniment(chords, 'alberti', header, measures).slice(0, 4)),
+    '48@0 55@0.25 52@0.5 55@0.75');
+  // Triads climb to the octave
+  assert.strictEqual(summary(createAccompaniment(chords, 'broken', header, measures).slice(0, 4)),
+    '48@0 52@0.25 55@0.5 60@0.75');
+
+  const block = createAccompaniment(chords, 'block', header, measures);
+  assert.deepStrictEqual(block.filter(entry => entry.bass).map(entry => entry.midi), [48, 45]);
+  assert.ok(block.every(entry => entry.trackRole === 'harmony' && entry.duration === 2));
+});
+
+test('createAccompaniment starts the pattern over at every measure', () => {
+  const header = createHeader();
+  const chords = [{ time: 0, duration: 4, root: 7, intervals: [0, 4, 7], velocity: 0.6 }];
+  assert.strictEqual(summary(createAccompaniment(chords, 'block', header, [0, 2])),
+    '43@0 47@0 50@0 43@2 47@2 50@2');
+  assert.throws(() => createAccompaniment(chords, 'stride', header, [0]),
+    /Unknown accompaniment pattern "stride"/);
+});
+
+test('createChordMarkers places a marker at each chord', () => {
+  const header = createHeader();
+  const markers = createChordMarkers([{ time: 0, symbol: 'C' }, { time: 1.5, symbol: 'G7' }], header);
+  assert.deepStrictEqual(markers, [
+    { type: 'marker', text: 'C', ticks: 0 },
+    { type: 'marker', text: 'G7', ticks: 3 * header.ppq }
+  ]);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_OPTIONS,
+  parseOptionValue,
+  validateOptions,
+  resolveOptions
+} = require('../config-schema');
+
+test('parseOptionValue converts text to the option type', () => {
+  assert.strictEqual(parseOptionValue('splitPoint', ' 64 '), 64);
+  assert.strictEqual(parseOptionValue('swingRatio', '.6'), 0.6);
+  assert.strictEqual(parseOptionValue('mergeUnisons', 'off'), false);
+  assert.strictEqual(parseOptionValue('quantize', 'swing'), 'swing');
+  assert.strictEqual(parseOptionValue('transpose', '-3'), -3);
+  assert.strictEqual(parseOptionValue('transpose', 'easiest'), 'easiest');
+  assert.strictEqual(parseOptionValue('transpose', 'F#m'), 'F#m');
+  assert.deepStrictEqual(parseOptionValue('keyboardRange', '36 - 96'), { low: 36, high: 96 });
+  assert.strictEqual(parseOptionValue('keyboardRange', '61'), '61');
+});
+
+test('parseOptionValue names the option and the allowed values in errors', () => {
+  assert.throws(() => parseOptionValue('maxHandSpan', '30', '--max-span'),
+    /^Error: Invalid --max-span: must be a whole number from 6 to 24 \(got 30\)$/);
+  assert.throws(() => parseOptionValue('maxHandSpan', '5', '--max-span'), /from 6 to 24 \(got 5\)/);
+  assert.throws(() => parseOptionValue('splitPoint', '60.5'), /whole number/);
+  assert.throws(() => parseOptionValue('quantize', 'loose'), /one of: none, grid, swing/);
+  assert.throws(() => parseOptionValue('transpose', 'H'), /easiest or a key/);
+  assert.throws(() => parseOptionValue('keyboardRange', '60-65'), /at least an octave/);
+  assert.throws(() => parseOptionValue('noSuchOption', '1'), /Unknown option "noSuchOption"/);
+});
+
+test('validateOptions reports every problem at once', () => {
+  assert.throws(
+    () => validateOptions({ maxRightHandNotes: 0, fingering: 'yes', bogus: 1 }),
+    error => {
+      assert.match(error.message, /maxRightHandNotes must be a whole number from 1 to 12/);
+      assert.match(error.message, /fingering must be true or false/);
+      assert.match(error.message, /unknown option "bogus"/);
+      return true;
+    }
+  );
+  assert.throws(() => validateOptions({ minSplitPoint: 70, maxSplitPoint: 50 }),
+    /minSplitPoint \(70\) is above maxSplitPoint \(50\)/);
+});
+
+test('validateOptions accepts keyboard ranges and ignores undefined values', () => {
+  const options = { keyboardRange: { low: 36, high: 84 }, splitPoint: undefined };
+  assert.strictEqual(validateOptions(options), options);
+  assert.throws(() => validateOptions({ keyboardRange: { low: 36, high: 40 } }), /keyboardRange/);
+  assert.throws(() => validateOptions({ keyboardRange: [36, 84] }), /keyboardRange/);
+});
+
+test('resolveOptions layers defaults, preset and given options', () => {
+  assert.deepStrictEqual(resolveOptions(), DEFAULT_OPTIONS);
+
+  const options = resolveOptions({ preset: 'jazz-lead-sheet', quantizeDivision: 4, splitPoint: undefined });
+  assert.strictEqual(options.accompaniment, 'block');
+  assert.strictEqual(options.quantize, 'swing');
+  assert.strictEqual(options.quantizeDivision, 4);
+  assert.strictEqual(options.splitPoint, DEFAULT_OPTIONS.splitPoint);
+  assert.ok(!('preset' in options));
+
+  assert.throws(() => resolveOptions({ preset: 'karaoke' }), /Unknown preset "karaoke"/);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Midi } = require('@tonejs/midi');
+const { collectControlChanges } = require('../piano-midi-optimizer');
+
+const note = (midi, time, track) => ({ midi, time, duration: 0.5, velocity: 0.8, track });
+
+function createSource() {
+  const midi = new Midi();
+  [0, 1].forEach(index => {
+    const track = midi.addTrack();
+    track.channel = index;
+    track.addCC({ number: 7, time: 0, value: 0.5 + index * 0.25 });
+    track.addPitchBend({ time: 1, value: 0.5 });
+  });
+  midi.tracks[0].addCC({ number: 64, time: 0, value: 1 });
+  midi.tracks[0].addCC({ number: 64, time: 2, value: 0 });
+  return midi;
+}
+
+test('a hand played from one track keeps its volume and pitch bends', () => {
+  const controls = collectControlChanges(createSource(), {
+    rightHand: [note(72, 0, 1), note(74, 1, 1)],
+    leftHand: [note(48, 0, 0)]
+  }, { preserveControlChanges: true });
+
+  assert.deepStrictEqual(controls.right.controlChanges, [{ number: 7, time: 0, value: 0.75 }]);
+  assert.deepStrictEqual(controls.right.pitchBends, [{ time: 1, value: 0.5 }]);
+  assert.deepStrictEqual(controls.left.controlChanges, [{ number: 7, time: 0, value: 0.5 }]);
+  assert.deepStrictEqual(controls.pedal.map(event => event.value), [1, 0]);
+});
+
+test('a hand mixing tracks leaves volume and pitch bends out', () => {
+  const midi = createSource();
+  const controls = collectControlChanges(midi, {
+    rightHand: [note(72, 0, 0), note(74, 0, 0), note(67, 1, 1)],
+    leftHand: [note(48, 0, 1), note(43, 1)]
+  }, { preserveControlChanges: true });
+
+  assert.deepStrictEqual(controls.right, { controlChanges: [], pitchBends: [] });
+  // Notes written by the accompaniment have no track of their own
+  assert.deepStrictEqual(controls.left, { controlChanges: [], pitchBends: [] });
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { balanceDynamics } = require('../dynamics');
+const { measureIndexAt } = require('../timing');
+
+const NEUTRAL = { melodyBoost: 0, bassBoost: 0, dynamicsCompression: 0 };
+const note = (velocity, time, flags = {}) => ({ midi: 60, time, duration: 0.5, velocity: velocity / 127, track: 0, ...flags });
+const levels = notes => notes.map(entry => Math.round(entry.velocity * 127));
+
+test('balanceDynamics brings every track to the same average level', () => {
+  const arrangement = {
+    rightHand: [note(30, 0), note(50, 1)],
+    leftHand: [note(100, 0, { track: 1 }), note(120, 1, { track: 1 })]
+  };
+  const result = balanceDynamics(arrangement, NEUTRAL, [0]);
+
+  // The average of 75 is shared; each track keeps its own rise
+  assert.deepStrictEqual(levels(result.rightHand), [56, 94]);
+  assert.deepStrictEqual(levels(result.leftHand), [68, 82]);
+  assert.deepStrictEqual(result.stats.tracks, [{ track: 0, gain: 1.88 }, { track: 1, gain: 0.68 }]);
+});
+
+test('balanceDynamics lifts the melody and sets the bass against the inner voices', () => {
+  const arrangement = {
+    rightHand: [note(64, 0, { melody: true }), note(64, 0)],
+    leftHand: [note(64, 0, { bass: true })]
+  };
+  const result = balanceDynamics(arrangement, { ...NEUTRAL, melodyBoost: 10, bassBoost: -8 }, [0]);
+
+  assert.deepStrictEqual(levels(result.rightHand), [74, 64]);
+  assert.deepStrictEqual(levels(result.leftHand), [56]);
+  assert.deepStrictEqual(result.stats.before, { melody: 64, inner: 64, bass: 64 });
+  assert.deepStrictEqual(result.stats.after, { melody: 74, inner: 64, bass: 56 });
+});
+
+test('balanceDynamics compresses within a measure and keeps the crescendo across measures', () => {
+  const arrangement = {
+    rightHand: [note(40, 0), note(60, 1), note(80, 2), note(100, 3)],
+    leftHand: []
+  };
+  const half = balanceDynamics(arrangement, { ...NEUTRAL, dynamicsCompression: 0.5 }, [0, 2]);
+  const full = balanceDynamics(arrangement, { ...NEUTRAL, dynamicsCompression: 1 }, [0, 2]);
+
+  assert.deepStrictEqual(levels(half.rightHand), [45, 55, 85, 95]);
+  assert.deepStrictEqual(levels(full.rightHand), [50, 50, 90, 90]);
+});
+
+test('balanceDynamics scales everything down rather than clip the loudest notes', () => {
+  const arrangement = {
+    rightHand: [note(120, 0, { melody: true }), note(100, 0)],
+    leftHand: []
+  };
+  const result = balanceDynamics(arrangement, { ...NEUTRAL, melodyBoost: 14 }, [0]);
+
+  assert.deepStrictEqual(levels(result.rightHand), [127, 95]);
+  assert.ok(result.rightHand.every(entry => entry.velocity <= 1));
+});
+
+test('balanceDynamics balances notes without a track as one and leaves the input alone', () => {
+  const arrangement = {
+    rightHand: [note(64, 0)],
+    leftHand: [note(32, 0, { track: undefined, bass: true })]
+  };
+  const result = balanceDynamics(arrangement, NEUTRAL, [0]);
+
+  assert.deepStrictEqual(result.stats.tracks.map(entry => entry.track), [0, null]);
+  assert.deepStrictEqual(levels(result.leftHand), levels(result.rightHand));
+  assert.strictEqual(arrangement.leftHand[0].velocity, 32 / 127);
+});
+
+test('balanceDynamics reports empty levels without notes', () => {
+  const result = balanceDynamics({ rightHand: [], leftHand: [] }, NEUTRAL, [0]);
+  const empty = { melody: null, inner: null, bass: null };
+  assert.deepStrictEqual(result.stats, { tracks: [], before: empty, after: empty });
+});
+
+test('measureIndexAt finds the measure holding a time', () => {
+  const starts = [0, 2, 4, 6];
+  assert.deepStrictEqual([-1, 0, 1.9, 2, 5, 6, 60].map(time => measureIndexAt(starts, time)), [0, 0, 0, 1, 2, 3, 3]);
+  // Rounding from ticks doesn't push a note into the previous measure
+  assert.strictEqual(measureIndexAt(starts, 2 - 1e-9), 1);
+  assert.strictEqual(measureIndexAt([], 1), 0);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { enforceHandSpan } = require('../piano-midi-optimizer');
+
+const note = (midi, time, flags = {}) => ({ midi, time, duration: 1, velocity: 0.8, ...flags });
+const pitches = notes => notes.map(entry => entry.midi);
+const config = maxHandSpan => ({ maxHandSpan, maxRightHandNotes: 5, maxLeftHandNotes: 5 });
+
+test('a note out of reach is moved by octaves into the span', () => {
+  const result = enforceHandSpan({
+    rightHand: [note(84, 0, { locked: true, melody: true }), note(62, 0)],
+    leftHand: [note(36, 0), note(40, 0)]
+  }, config(14));
+
+  assert.deepStrictEqual(pitches(result.rightHand), [84, 74]);
+  assert.deepStrictEqual(result.stats.adjustments, [{ time: 0, hand: 'right', midi: 62, action: 'displaced', to: 74 }]);
+});
+
+test('a note is dropped when no octave of it fits a span under an octave', () => {
+  const result = enforceHandSpan({
+    rightHand: [note(72, 0, { locked: true, melody: true }), note(66, 0)],
+    leftHand: [note(40, 0)]
+  }, config(5));
+
+  assert.deepStrictEqual(pitches(result.rightHand), [72]);
+  assert.deepStrictEqual(pitches(result.leftHand), [40]);
+  assert.strictEqual(result.stats.dropped, 1);
+});
+
+test('the whole hand fits one span around a preserved inner voice', () => {
+  const result = enforceHandSpan({
+    rightHand: [note(86, 0), note(79, 0, { locked: true, melody: true }), note(64, 0)],
+    leftHand: [note(36, 0)]
+  }, config(14));
+
+  // Keeping the top note leaves the lowest one to move up an octave
+  assert.deepStrictEqual(pitches(result.rightHand), [86, 79, 76]);
+  assert.deepStrictEqual(result.stats.adjustments, [{ time: 0, hand: 'right', midi: 64, action: 'displaced', to: 76 }]);
+});
+
+test('a note an octave away from a preserved inner voice is dropped', () => {
+  const result = enforceHandSpan({
+    rightHand: [note(84, 0), note(79, 0, { locked: true, melody: true }), note(67, 0)],
+    leftHand: [note(40, 0)]
+  }, config(14));
+
+  assert.deepStrictEqual(pitches(result.rightHand), [84, 79]);
+  assert.strictEqual(result.stats.dropped, 1);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Midi } = require('@tonejs/midi');
+const {
+  detectKey,
+  resolveTransposition,
+  transposeKeySignatures,
+  describeKey,
+  isKeyName,
+  keyFifths,
+  encodeMidi
+} = require('../key-signatures');
+
+// Scale notes with the tonic and fifth held longest, as a tune would
+const scaleNotes = (tonic, steps) => steps.map((step, index) => ({
+  midi: 60 + tonic + step,
+  duration: index === 0 ? 4 : index === 4 ? 2 : 1
+}));
+const MAJOR = [0, 2, 4, 5, 7, 9, 11];
+const MINOR = [0, 2, 3, 5, 7, 8, 10];
+
+test('keyFifths counts sharps as positive and flats as negative', () => {
+  assert.strictEqual(keyFifths('C'), 0);
+  assert.strictEqual(keyFifths('G'), 1);
+  assert.strictEqual(keyFifths('Eb'), -3);
+  assert.strictEqual(keyFifths('C#'), 7);
+  assert.strictEqual(keyFifths('Cb'), -7);
+  assert.strictEqual(keyFifths(undefined), 0);
+});
+
+test('detectKey finds major and minor keys from their scales', () => {
+  assert.strictEqual(detectKey([]), null);
+
+  const major = detectKey(scaleNotes(2, MAJOR));
+  assert.deepStrictEqual([major.key, major.scale, major.fifths], ['D', 'major', 2]);
+  assert.ok(major.confidence > 0.8);
+
+  // A minor key is reported with the signature of its relative major
+  const minor = detectKey(scaleNotes(9, MINOR));
+  assert.deepStrictEqual([minor.key, minor.scale, minor.fifths], ['C', 'minor', 0]);
+  assert.strictEqual(describeKey(minor), 'A minor');
+});
+
+test('resolveTransposition takes semitones, easiest or a key name', () => {
+  const notes = [{ midi: 60 }, { midi: 72 }];
+  const eFlat = [{ key: 'Eb', scale: 'major' }];
+  assert.strictEqual(resolveTransposition(-2, eFlat, notes), -2);
+  assert.strictEqual(resolveTransposition('easiest', eFlat, notes), -3);
+  assert.strictEqual(resolveTransposition('G', eFlat, notes), 4);
+  // Em shares G major's signature
+  assert.strictEqual(resolveTransposition('Em', eFlat, notes), 4);
+  assert.throws(() => resolveTransposition('H', eFlat, notes), /Unknown key "H"/);
+});
+
+test('resolveTransposition handles pieces with more notes than fit in a call', () => {
+  const notes = Array.from({ length: 200000 }, (_, index) => ({ midi: 48 + index % 24 }));
+  assert.strictEqual(resolveTransposition('easiest', [{ key: 'Eb', scale: 'major' }], notes), -3);
+});
+
+test('resolveTransposition prefers moves that stay on the keyboard', () => {
+  // C major already has no accidentals, but a high piece on a small
+  // keyboard has to come down
+  const notes = [{ midi: 40 }, { midi: 86 }];
+  const keyboard = { low: 36, high: 84 };
+  assert.strictEqual(resolveTransposition('easiest', [{ key: 'C', scale: 'major' }], notes, keyboard), -2);
+});
+
+test('transposeKeySignatures moves signatures around the circle of fifths', () => {
+  // C minor, with the signature of Eb major, up a minor third
+  const moved = transposeKeySignatures([{ key: 'Eb', scale: 'minor', ticks: 480 }], 3);
+  assert.deepStrictEqual(moved, [{ key: 'Gb', scale: 'minor', ticks: 480 }]);
+  assert.strictEqual(describeKey(moved[0]), 'Eb minor');
+  assert.deepStrictEqual(transposeKeySignatures([{ key: 'A', scale: 'major' }], 0), [{ key: 'A', scale: 'major' }]);
+});
+
+test('isKeyName accepts major and minor key names', () => {
+  ['C', 'Bb', 'F#m', 'A minor', 'ebmaj'].forEach(name => assert.ok(isKeyName(name), name));
+  ['H', 'C##', '', 'major'].forEach(name => assert.ok(!isKeyName(name), name));
+});
+
+test('encodeMidi writes key signatures that read back as written', () => {
+  const midi = new Midi();
+  midi.header.keySignatures = [
+    { key: 'Eb', scale: 'minor', ticks: 0 },
+    { key: 'A', scale: 'major', ticks: 1920 }
+  ];
+  midi.header.meta = [{ type: 'marker', text: 'Ebm', ticks: 0 }];
+  midi.addTrack().addNote({ midi: 63, time: 0, duration: 1 });
+
+  const read = new Midi(encodeMidi(midi));
+  assert.deepStrictEqual(
+    read.header.keySignatures.map(({ key, scale, ticks }) => ({ key, scale, ticks })),
+    [{ key: 'Eb', scale: 'minor', ticks: 0 }, { key: 'A', scale: 'major', ticks: 1920 }]
+  );
+  assert.strictEqual(read.tracks[0].notes[0].midi, 63);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fitKeyboardRange } = require('../piano-midi-optimizer');
+
+const note = (midi, time, duration = 0.5, flags = {}) => ({ midi, time, duration, velocity: 0.8, ...flags });
+const pitches = notes => notes.map(entry => entry.midi);
+
+test('notes outside the keyboard are folded in by octaves', () => {
+  const result = fitKeyboardRange({
+    rightHand: [note(96, 0), note(72, 1)],
+    leftHand: [note(24, 0)]
+  }, { keyboardRange: '49' });
+
+  assert.deepStrictEqual(pitches(result.rightHand), [84, 72]);
+  assert.deepStrictEqual(pitches(result.leftHand), [36]);
+  assert.deepStrictEqual(result.stats, { low: 36, high: 84, folded: 2, merged: 0, dropped: 0 });
+});
+
+test('a folded note landing on a sounding key is merged into it', () => {
+  const result = fitKeyboardRange({
+    rightHand: [note(72, 0, 1), note(84, 0.5, 1), note(96, 2)],
+    leftHand: []
+  }, { keyboardRange: { low: 36, high: 80 } });
+
+  // 84 folds onto the held 72; 96 folds to 72 after it has ended
+  assert.deepStrictEqual(pitches(result.rightHand), [72, 72]);
+  assert.deepStrictEqual([result.stats.folded, result.stats.merged], [1, 1]);
+});
+
+test('a melody note is dropped rather than folded against its line', () => {
+  const melody = { melody: true };
+  const result = fitKeyboardRange({
+    rightHand: [note(79, 0, 0.5, melody), note(84, 0.5, 0.5, melody), note(86, 1, 0.5, melody)],
+    leftHand: []
+  }, { keyboardRange: '49' });
+
+  // 84 to 86 would become 84 down to 74
+  assert.deepStrictEqual(pitches(result.rightHand), [79, 84]);
+  assert.strictEqual(result.stats.dropped, 1);
+});
+
+test('a line note far from the previous one is folded freely', () => {
+  const bass = { bass: true };
+  const result = fitKeyboardRange({
+    rightHand: [],
+    leftHand: [note(40, 0, 0.5, bass), note(30, 3, 0.5, bass)]
+  }, { keyboardRange: '49' });
+
+  assert.deepStrictEqual(pitches(result.leftHand), [40, 42]);
+  assert.strictEqual(result.stats.folded, 1);
+});
+
+test('the original notes are left untouched', () => {
+  const arrangement = { rightHand: [note(100, 0)], leftHand: [] };
+  fitKeyboardRange(arrangement, { keyboardRange: '61' });
+  assert.strictEqual(arrangement.rightHand[0].midi, 100);
+});
+
+test('an unknown keyboard range is reported', () => {
+  assert.throws(() => fitKeyboardRange({ rightHand: [], leftHand: [] }, { keyboardRange: '37' }),
+    /Unknown keyboard range "37". Expected one of: 49, 61, 76, 88/);
+});
@@ -0,0 +1,33 @@
+/**
+ * Timing
+ *
+ * Time helpers shared by the optimizer's stages, which all work in seconds.
+ */
+
+// Notes starting or ending within this many seconds are treated as
+// simultaneous, which absorbs rounding from tick to seconds conversion
+const TIME_EPSILON = 1e-6;
+
+/**
+ * Find the measure a time falls in
+ * @param {Array} measureStarts - Start time of every measure in seconds, in
+ *   order (see getMeasureStartTimes)
+ * @param {number} time - Time in seconds
+ * @returns {number} - Index of the measure, from 0; times before the first
+ *   measure count as the first
+ */
+function measureIndexAt(measureStarts, time) {
+  let low = 0;
+  let high = measureStarts.length - 1;
+  while (low < high) {
+    const middle = (low + high + 1) >> 1;
+    if (measureStarts[middle] <= time + TIME_EPSILON) low = middle;
+    else high = middle - 1;
+  }
+  return Math.max(0, low);
+}
+
+module.exports = {
+  TIME_EPSILON,
+  measureIndexAt
+};
@@ -0,0 +1,208 @@
+/**
+ * Voice Extraction
+ *
+ * Finds individual voices, note by note, across all tracks of a MIDI file.
+ * Track-level averages can't tell the tune of a single-track piano piece
+ * from its accompaniment, so the melody and the bass line are traced
+ * through the texture with a beam search over onsets instead.
+ */
+
+// Notes whose onsets lie this close together (in seconds) are treated as
+// struck together, which absorbs the spread of live-played chords
+const ONSET_TOLERANCE = 0.03;
+
+// Candidates considered per onset, from the outside of the texture inwards
+const VOICE_CANDIDATES = 3;
+
+// Partial lines kept alive between onsets
+const BEAM_WIDTH = 8;
+
+/**
+ * Extract the melody voice from a set of notes.
+ * Starts from the skyline (the highest note of each onset) and weighs it
+ * against the next candidates down by salience (register, loudness, length,
+ * track role) and continuity (small intervals, staying on one track). A
+ * melody note that is still sounding may be carried over an onset, so
+ * accompaniment struck under a held melody note isn't mistaken for the tune.
+ * @param {Array} notes - Notes with midi, time, duration, velocity, and
+ *   optionally track and trackRole
+ * @returns {Array} - The notes forming the melody, in time order
+ */
+function extractMelody(notes) {
+  return traceVoice(notes, {
+    order: (a, b) => b.midi - a.midi,
+    salience: melodySalience,
+    transition: melodyTransition
+  });
+}
+
+/**
+ * Extract the bass line from a set of notes.
+ * The mirror image of extractMelody: starts from the lowest note of each
+ * onset and favours long, low notes from bass tracks, so the functional bass
+ * is followed rather than every low passing note.
+ * @param {Array} notes - Notes with midi, time, duration, velocity, and
+ *   optionally track and trackRole
+ * @returns {Array} - The notes forming the bass line, in time order
+ */
+function extractBassLine(notes) {
+  return traceVoice(notes, {
+    order: (a, b) => a.midi - b.midi,
+    salience: bassSalience,
+    transition: bassTransition
+  });
+}
+
+/**
+ * Trace one monophonic voice through the notes with a beam search over
+ * onsets. At each onset the voice either takes one of the candidates (the
+ * first few notes in `order`) or carries its previous note over.
+ * @param {Array} notes - Array of notes
+ * @param {Object} voice - { order, salience, transition } scoring functions
+ * @returns {Array} - The notes forming the voice, in time order
+ */
+function traceVoice(notes, voice) {
+  const groups = groupByOnset(notes);
+  if (groups.length === 0) return [];
+
+  // Each beam entry is the best line ending on `last`
+  let beam = [{ last: null, score: 0, path: null }];
+
+  groups.forEach(group => {
+    const candidates = [...group.notes]
+      .sort(voice.order)
+      .slice(0, VOICE_CANDIDATES);
+    const next = [];
+
+    beam.forEach(entry => {
+      // Carry the previous note over this onset
+      const sounding = entry.last &&
+        entry.last.time + entry.last.duration > group.time + ONSET_TOLERANCE;
+      next.push({
+        last: entry.last,
+        score: entry.score - (sounding ? 0 : 0.8),
+        path: entry.path
+      });
+
+      candidates.forEach((note, rank) => {
+        next.push({
+          last: note,
+          score: entry.score + voice.salience(note, rank) + voice.transition(entry.last, note),
+          path: { note, prev: entry.path }
+        });
+      });
+    });
+
+    // Entries ending on the same note compete; keep the best of each
+    const bestByNote = new Map();
+    next.forEach(entry => {
+      const current = bestByNote.get(entry.last);
+      if (!current || entry.score > current.score) {
+        bestByNote.set(entry.last, entry);
+      }
+    });
+    beam = Array.from(bestByNote.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, BEAM_WIDTH);
+  });
+
+  const line = [];
+  for (let node = beam[0].path; node; node = node.prev) {
+    line.push(node.note);
+  }
+  return line.reverse();
+}
+
+/**
+ * How likely a note is to belong to the melody on its own merits
+ * @param {Object} note - Candidate note
+ * @param {number} rank - Position from the top of its onset group
+ * @returns {number} - Salience score
+ */
+function melodySalience(note, rank) {
+  let score = (note.midi - 60) / 12;
+  score += (note.velocity || 0.5) * 0.5;
+  score += Math.min(note.duration, 1) * 0.3;
+  if (rank === 0) score += 0.5;
+  if (note.trackRole === 'melody') score += 0.5;
+  if (note.trackRole === 'bass') score -= 1.5;
+  return score;
+}
+
+/**
+ * How well a note continues the line ending on the previous melody note
+ * @param {Object|null} previous - Previous melody note
+ * @param {Object} note - Candidate note
+ * @returns {number} - Continuity score (zero or negative)
+ */
+function melodyTransition(previous, note) {
+  if (!previous) return 0;
+
+  const interval = Math.abs(note.midi - previous.midi);
+  let score = -0.08 * Math.max(0, interval - 2);
+  if (interval > 12) score -= 0.5;
+  if (previous.track !== undefined && previous.track !== note.track) score -= 0.3;
+  return score;
+}
+
+/**
+ * How likely a note is to belong to the bass line on its own merits
+ * @param {Object} note - Candidate note
+ * @param {number} rank - Position from the bottom of its onset group
+ * @returns {number} - Salience score
+ */
+function bassSalience(note, rank) {
+  let score = (48 - note.midi) / 12;
+  score += (note.velocity || 0.5) * 0.3;
+  score += Math.min(note.duration, 1) * 0.6;
+  if (rank === 0) score += 0.5;
+  if (note.trackRole === 'bass') score += 0.8;
+  if (note.trackRole === 'melody') score -= 1.5;
+  return score;
+}
+
+/**
+ * How well a note continues the bass line ending on the previous note.
+ * Bass lines leap by fourths, fifths and octaves, so those cost less than
+ * other intervals of similar size.
+ * @param {Object|null} previous - Previous bass note
+ * @param {Object} note - Candidate note
+ * @returns {number} - Continuity score (zero or negative)
+ */
+function bassTransition(previous, note) {
+  if (!previous) return 0;
+
+  const interval = Math.abs(note.midi - previous.midi);
+  const functional = [5, 7, 12].includes(interval);
+  let score = functional ? 0 : -0.05 * Math.max(0, interval - 2);
+  if (interval > 12) score -= 0.5;
+  if (previous.track !== undefined && previous.track !== note.track) score -= 0.3;
+  return score;
+}
+
+/**
+ * Group notes that start together
+ * @param {Array} notes - Array of notes
+ * @returns {Array} - Array of { time, notes } groups in time order
+ */
+function groupByOnset(notes) {
+  const sorted = [...notes].sort((a, b) => a.time - b.time);
+  const groups = [];
+
+  sorted.forEach(note => {
+    const group = groups[groups.length - 1];
+    if (group && note.time - group.time <= ONSET_TOLERANCE) {
+      group.notes.push(note);
+    } else {
+      groups.push({ time: note.time, notes: [note] });
+    }
+  });
+
+  return groups;
+}
+
+module.exports = {
+  extractMelody,
+  extractBassLine,
+  groupByOnset
+};
@@ -6,10 +6,25 @@ const express = require('express');
 const fileUpload = require('express-fileupload');
 const path = require('path');
 const fs = require('fs');
-const { optimizeMidiForPiano } = require('./piano-midi-optimizer');
+const AdmZip = require('adm-zip');
+const { optimizeMidi, analyzeMidi, describeTracks } = require('./piano-midi-optimizer');
+const { createMusicXml } = require('./musicxml-export');
+const { optimizeBatch } = require('./batch');
+const { createJobQueue } = require('./job-queue');
+const { isMidiData, isZipData, createFileStorage } = require('./file-storage');
+const { DEFAULT_OPTIONS, PRESETS, parseOptionValue, resolveOptions } = require('./config-schema');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || 0, 10) || undefined;
+const MAX_BATCH_FILES = 200;
+const MAX_BATCH_SIZE = 200 * 1024 * 1024; // 200MB of MIDI data per batch
+const MIDI_FILE = /\.midi?$/i;
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || 0, 10) || undefined;
+const DOWNLOAD_TTL = parseInt(process.env.DOWNLOAD_TTL_MINUTES || 60, 10) * 60 * 1000;
+const STORAGE_QUOTA = parseInt(process.env.STORAGE_QUOTA_MB || 500, 10) * 1024 * 1024;
+const INVALID_MIDI = 'Invalid file type. Please upload a standard MIDI file (.mid or .midi)';
 
 // Set up middleware
 app.use(express.json());
@@ -21,12 +36,245 @@ app.use(fileUpload({
 // Update static files path
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
+// Generated files wait here for download and expire after DOWNLOAD_TTL
+const storage = createFileStorage({
+  dir: path.join(__dirname, 'uploads'),
+  ttl: DOWNLOAD_TTL,
+  maxBytes: STORAGE_QUOTA
+});
+
+// Background jobs live on disk and resume after a restart; their files
+// expire and count against a quota like the downloads
+const jobs = createJobQueue({
+  dir: process.env.JOBS_DIR || path.join(__dirname, 'jobs'),
+  concurrency: JOB_CONCURRENCY,
+  maxAge: DOWNLOAD_TTL,
+  maxBytes: STORAGE_QUOTA
+});
+
+/**
+ * Reduce arrangement notes to what the piano roll draws
+ * @param {Object} arrangement - Right and left hand notes
+ * @returns {Object} - Right and left hand notes with times rounded to 1 ms
+ */
+function compactArrangement(arrangement) {
+  const round = value => Math.round(value * 1000) / 1000;
+  const compact = note => ({
+    midi: note.midi,
+    time: round(note.time),
+    duration: round(note.duration),
+    velocity: round(note.velocity),
+    melody: Boolean(note.melody),
+    locked: Boolean(note.locked),
+    fixedHand: Boolean(note.fixedHand)
+  });
+  return {
+    rightHand: arrangement.rightHand.map(compact),
+    leftHand: arrangement.leftHand.map(compact)
+  };
+}
+
+// Options the form can set; any it leaves out keep the preset's or the
+// library's defaults
+const FORM_OPTIONS = [
+  'splitPoint', 'maxRightHandNotes', 'maxLeftHandNotes', 'maxHandSpan',
+  'dynamicSplitPoint', 'minSplitPoint', 'maxSplitPoint', 'preserveMelody',
+  'preserveBass', 'minBassNote', 'maxBassNote', 'preserveControlChanges',
+  'synthesizePedal', 'consolidateTracks', 'quantize', 'quantizeDivision',
+  'swingRatio', 'mergeUnisons', 'trimOverlaps', 'minNoteDuration',
+  'difficulty', 'fingeringOutput', 'transpose', 'keyboardRange',
+  'accompaniment', 'chordSymbols', 'balanceDynamics', 'melodyBoost',
+  'bassBoost', 'dynamicsCompression'
+];
+
+/**
+ * Read the optimizer options from the submitted form, on top of the
+ * preset it names. Every invalid field is reported at once.
+ * @param {Object} body - Form fields
+ * @param {Object} [extra] - Options that don't come from form fields,
+ *   such as track overrides
+ * @returns {Object} - Complete options for optimizeMidi, without a logger
+ */
+function parseOptions(body, extra = {}) {
+  const options = { preset: body.preset, logLevel: LOG_LEVEL, ...extra };
+  const problems = [];
+  FORM_OPTIONS.forEach(name => {
+    if (body[name] === undefined || body[name] === '') return;
+    try {
+      options[name] = parseOptionValue(name, body[name]);
+    } catch (error) {
+      problems.push(error.message);
+    }
+  });
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+
+  const resolved = resolveOptions(options);
+  // Fingering can only travel inside the downloaded MIDI files
+  if (resolved.fingeringOutput === 'sidecar') {
+    resolved.fingeringOutput = 'none';
+  }
+  return resolved;
+}
+
+/**
+ * Read the per-track settings, which arrive as JSON from the track table
+ * @param {Object} body - Form fields
+ * @returns {Object} - Track overrides by track index
+ */
+function parseTrackOverrides(body) {
+  try {
+    return JSON.parse(body.trackOverrides || '{}');
+  } catch (error) {
+    throw new Error('Invalid track overrides: ' + error.message);
+  }
+}
+
+/**
+ * The statistics of an optimization report shown on the page
+ * @param {Object} report - Report from optimizeMidi
+ * @returns {Object} - Statistics for the response
+ */
+function reportStats(report) {
+  return {
+    originalTracks: report.originalTracks,
+    rightHandNotes: report.rightHandNotes,
+    leftHandNotes: report.leftHandNotes,
+    duration: report.duration,
+    polyphony: report.polyphony,
+    handSpan: report.handSpan,
+    pedal: report.pedal,
+    fingering: report.fingering,
+    consolidation: report.consolidation,
+    cleanup: report.cleanup,
+    simplification: report.simplification,
+    keyboardRange: report.keyboardRange,
+    chords: report.chords,
+    dynamics: report.dynamics,
+    playability: report.playability,
+    key: report.key
+  };
+}
+
+/**
+ * Describe a job for status responses
+ * @param {Object} job - Job state from the queue
+ * @returns {Object} - Status, progress, and statistics and result links
+ *   once done
+ */
+function jobStatus(job) {
+  const status = {
+    id: job.id,
+    name: job.name,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    error: job.error
+  };
+  if (job.status === 'done') {
+    status.stats = reportStats(job.report);
+    status.downloadLink = `/jobs/${job.id}/result`;
+    status.musicXmlLink = `/jobs/${job.id}/result?format=musicxml`;
+  }
+  return status;
 }
 
+/**
+ * Gather the MIDI files of a batch upload: MIDI files as they are and the
+ * MIDI files inside ZIP archives, keeping the archives' folders
+ * @param {Array} uploads - Uploaded files from express-fileupload
+ * @returns {Array} - [{ name, data }] with unique names
+ */
+function collectBatchFiles(uploads) {
+  const files = [];
+  uploads.forEach(upload => {
+    if (isMidiData(upload.data)) {
+      files.push({ name: upload.name, data: upload.data });
+    } else if (isZipData(upload.data)) {
+      let entries;
+      try {
+        entries = new AdmZip(upload.data).getEntries();
+      } catch (error) {
+        throw new Error(`Could not read ${upload.name}: ${error.message}`);
+      }
+      entries
+        .filter(entry => !entry.isDirectory && MIDI_FILE.test(entry.entryName) &&
+          !entry.entryName.startsWith('__MACOSX/'))
+        .forEach(entry => files.push({ name: entry.entryName, entry }));
+    } else {
+      throw new Error(`Invalid file type: ${upload.name}. Please upload MIDI files (.mid or .midi) or a ZIP archive`);
+    }
+  });
+
+  if (files.length === 0) {
+    throw new Error('No MIDI files found in the upload');
+  }
+  if (files.length > MAX_BATCH_FILES) {
+    throw new Error(`Too many files: ${files.length}. A batch can hold up to ${MAX_BATCH_FILES}`);
+  }
+  // Check the sizes archives claim before unpacking anything
+  const totalSize = files.reduce((sum, file) => sum + (file.entry ? file.entry.header.size : file.data.length), 0);
+  if (totalSize > MAX_BATCH_SIZE) {
+    throw new Error(`Batch too large: at most ${MAX_BATCH_SIZE / 1024 / 1024}MB of MIDI data`);
+  }
+
+  const seen = new Set();
+  return files.map(file => {
+    // Strip folders that would point outside the results archive
+    const clean = file.name.split(/[\\/]/).filter(part => part && part !== '..' && part !== '.').join('/');
+    let name = clean;
+    for (let copy = 2; seen.has(name.toLowerCase()); copy++) {
+      name = clean.replace(MIDI_FILE, '') + ` (${copy})` + path.extname(clean);
+    }
+    seen.add(name.toLowerCase());
+    return { name, data: file.entry ? file.entry.getData() : file.data };
+  });
+}
+
+// The defaults and presets the form starts from
+app.get('/presets', (req, res) => {
+  res.json({ defaults: DEFAULT_OPTIONS, presets: PRESETS });
+});
+
+// List the tracks of an uploaded MIDI file, so they can be overridden
+app.post('/tracks', (req, res) => {
+  try {
+    if (!req.files || !req.files.midiFile) {
+      return res.status(400).json({ error: 'No MIDI file uploaded' });
+    }
+    
+    if (!isMidiData(req.files.midiFile.data)) {
+      return res.status(400).json({ error: INVALID_MIDI });
+    }
+    
+    res.json({ tracks: describeTracks(req.files.midiFile.data) });
+  } catch (error) {
+    console.error('Error reading MIDI file:', error);
+    res.status(400).json({ error: 'Error reading MIDI file: ' + error.message });
+  }
+});
+
+// Report what the optimizer sees in an uploaded MIDI file, without arranging it
+app.post('/analyze', (req, res) => {
+  try {
+    if (!req.files || !req.files.midiFile) {
+      return res.status(400).json({ error: 'No MIDI file uploaded' });
+    }
+    
+    if (!isMidiData(req.files.midiFile.data)) {
+      return res.status(400).json({ error: INVALID_MIDI });
+    }
+    
+    res.json({ file: req.files.midiFile.name, ...analyzeMidi(req.files.midiFile.data) });
+  } catch (error) {
+    console.error('Error analyzing MIDI file:', error);
+    res.status(400).json({ error: 'Error analyzing MIDI file: ' + error.message });
+  }
+});
+
 // Handle MIDI upload and optimization
 app.post('/optimize', async (req, res) => {
   try {
@@ -36,87 +284,173 @@ app.post('/optimize', async (req, res) => {
 
     const midiFile = req.files.midiFile;
     
-    // Validate file type
-    if (!midiFile.name.toLowerCase().endsWith('.mid') && 
-        !midiFile.name.toLowerCase().endsWith('.midi')) {
-      return res.status(400).json({ 
-        error: 'Invalid file type. Please upload a MIDI file (.mid or .midi)' 
-      });
+    // Validate file type by its header rather than its name
+    if (!isMidiData(midiFile.data)) {
+      return res.status(400).json({ error: INVALID_MIDI });
     }
     
-    // Generate unique filenames
-    const timestamp = Date.now();
-    const inputFilename = `input_${timestamp}.mid`;
-    const outputFilename = `piano_${timestamp}.mid`;
-    
-    const inputPath = path.join(uploadsDir, inputFilename);
-    const outputPath = path.join(uploadsDir, outputFilename);
-    
-    // Save the uploaded file
-    await midiFile.mv(inputPath);
-    
     // Parse options from form
-    const options = {
-      splitPoint: parseInt(req.body.splitPoint || 60, 10),
-      maxRightHandNotes: parseInt(req.body.maxRightHandNotes || 4, 10),
-      maxLeftHandNotes: parseInt(req.body.maxLeftHandNotes || 3, 10),
-      dynamicSplitPoint: req.body.dynamicSplitPoint !== 'false',
-      preserveMelody: req.body.preserveMelody !== 'false',
-      preserveBass: req.body.preserveBass !== 'false'
-    };
+    let options;
+    try {
+      options = parseOptions(req.body, { trackOverrides: parseTrackOverrides(req.body) });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    options.logger = console;
     
     console.log('Configuration:');
     console.log(`- Split point: ${options.splitPoint} (${options.dynamicSplitPoint ? 'dynamic' : 'static'})`);
     
-    // Process the MIDI file
-    const result = await optimizeMidiForPiano(inputPath, outputPath, options);
+    // Process the uploaded MIDI data in memory; only the result is stored
+    const { output, midi, arrangement, draftArrangement, report: result } =
+      await optimizeMidi(midiFile.data, options);
+    const outputId = storage.save(Buffer.from(output), '.mid');
+    
+    const title = midiFile.name.replace(/\.midi?$/i, '');
+    const sheetId = storage.save(createMusicXml(midi.header, arrangement, { title }), '.musicxml');
     
     // Return the download link and statistics
     res.json({
       success: true,
       message: 'MIDI file optimized successfully',
-      downloadLink: `/download/${outputFilename}`,
-      stats: {
-        originalTracks: result.originalTracks,
-        rightHandNotes: result.rightHandNotes,
-        leftHandNotes: result.leftHandNotes,
-        duration: result.duration
-      }
+      downloadLink: `/download/${outputId}`,
+      musicXmlLink: `/download/${sheetId}`,
+      stats: reportStats(result),
+      splitCurve: result.splitCurve,
+      // The draft lets the page preview other split points and limits
+      arrangement: compactArrangement(arrangement),
+      draftArrangement: compactArrangement(draftArrangement)
     });
     
-    // Clean up input file after a delay
-    setTimeout(() => {
-      try {
-        fs.unlinkSync(inputPath);
-      } catch (err) {
-        console.error('Error deleting input file:', err);
-      }
-    }, 3600000); // 1 hour
-    
   } catch (error) {
     console.error('Error processing MIDI file:', error);
-    res.status(500).json({ error: 'Error processing MIDI file: ' + error.message });
+    res.status(error.code === 'EQUOTA' ? 507 : 500).json({ error: 'Error processing MIDI file: ' + error.message });
+  }
+});
+
+// Queue a MIDI file for optimization in the background; poll the returned
+// status link for progress
+app.post('/jobs', (req, res) => {
+  try {
+    if (!req.files || !req.files.midiFile) {
+      return res.status(400).json({ error: 'No MIDI file uploaded' });
+    }
+
+    const midiFile = req.files.midiFile;
+    if (!isMidiData(midiFile.data)) {
+      return res.status(400).json({ error: INVALID_MIDI });
+    }
+
+    let options;
+    try {
+      options = parseOptions(req.body, { trackOverrides: parseTrackOverrides(req.body) });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const job = jobs.submit(midiFile.data, { name: midiFile.name, options });
+    res.status(202).json({ ...jobStatus(job), statusLink: `/jobs/${job.id}` });
+  } catch (error) {
+    console.error('Error queueing job:', error);
+    res.status(error.code === 'EQUOTA' ? 507 : 500).json({ error: 'Error queueing job: ' + error.message });
+  }
+});
+
+// Report a job's status and progress, and its statistics once done
+app.get('/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(jobStatus(job));
+});
+
+// Download a finished job's MIDI file, or with ?format= its MusicXML or the
+// arrangement the page draws
+app.get('/jobs/:id/result', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'done') {
+    return res.status(409).json({ error: `Job is ${job.status}`, status: job.status });
+  }
+
+  const format = req.query.format || 'midi';
+  let resultPath;
+  try {
+    resultPath = jobs.resultPath(job.id, format);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (format === 'arrangement') {
+    const { arrangement, draftArrangement } = JSON.parse(fs.readFileSync(resultPath, 'utf8'));
+    return res.json({
+      splitCurve: job.report.splitCurve,
+      arrangement: compactArrangement(arrangement),
+      draftArrangement: compactArrangement(draftArrangement)
+    });
+  }
+  res.download(resultPath, format === 'musicxml' ? 'piano_optimized.musicxml' : 'piano_optimized.mid');
+});
+
+// Optimize several MIDI files, uploaded side by side or in ZIP archives,
+// into one ZIP of results with a report for each file
+app.post('/batch', async (req, res) => {
+  try {
+    if (!req.files || !req.files.midiFiles) {
+      return res.status(400).json({ error: 'No MIDI files uploaded' });
+    }
+
+    let files;
+    let options;
+    try {
+      files = collectBatchFiles([].concat(req.files.midiFiles));
+      options = parseOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const archive = new AdmZip();
+
+    console.log(`Batch: optimizing ${files.length} files`);
+    // Track overrides are per file, so they don't apply to a batch
+    const results = await optimizeBatch(files, {
+      optimizerOptions: options,
+      concurrency: BATCH_CONCURRENCY,
+      musicXml: true,
+      onResult: (file, result) => {
+        const base = file.name.replace(MIDI_FILE, '');
+        archive.addFile(`${base}.mid`, Buffer.from(result.output));
+        archive.addFile(`${base}.musicxml`, Buffer.from(result.musicXml));
+      }
+    });
+    archive.addFile('report.json', Buffer.from(JSON.stringify(results, null, 2)));
+    const outputId = storage.save(archive.toBuffer(), '.zip');
+
+    const succeeded = results.filter(result => result.success).length;
+    res.json({
+      success: true,
+      message: `${succeeded} of ${results.length} MIDI files optimized`,
+      downloadLink: `/download/${outputId}`,
+      files: results
+    });
+  } catch (error) {
+    console.error('Error processing batch:', error);
+    res.status(error.code === 'EQUOTA' ? 507 : 500).json({ error: 'Error processing batch: ' + error.message });
   }
 });
 
-// Handle download of optimized file
-app.get('/download/:filename', (req, res) => {
-  const filename = req.params.filename;
-  const filePath = path.join(uploadsDir, filename);
+// Handle download of optimized file; files stay until they expire, so a
+// link can be used more than once
+app.get('/download/:id', (req, res) => {
+  const file = storage.resolve(req.params.id);
   
-  if (fs.existsSync(filePath)) {
-    res.download(filePath, `piano_optimized.mid`, (err) => {
+  if (file) {
+    res.download(file.path, `piano_optimized${file.extension}`, (err) => {
       if (err) {
         console.error('Error downloading file:', err);
-      } else {
-        // Delete the file after successful download
-        setTimeout(() => {
-          try {
-            fs.unlinkSync(filePath);
-          } catch (err) {
-            console.error('Error deleting file:', err);
-          }
-        }, 60000); // 1 minute
       }
     });
   } else {
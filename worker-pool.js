@@ -0,0 +1,108 @@
+/**
+ * Worker Pool
+ *
+ * A fixed number of optimizer worker threads with a queue in front of them.
+ * Tasks wait until a worker is free; a worker that crashes fails only its
+ * own task and is replaced.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'optimizer-worker.js');
+
+/**
+ * Create a pool of optimizer workers
+ * @param {number} size - Number of worker threads (at least 1)
+ * @returns {Object} - { run(task), close() }; run resolves with the
+ *   worker's result or rejects with its error
+ */
+function createWorkerPool(size) {
+  const idle = [];
+  const queue = [];
+  const busy = new Map();
+  let closed = false;
+
+  function startWorker() {
+    const worker = new Worker(WORKER_SCRIPT);
+
+    worker.on('message', message => {
+      const task = busy.get(worker);
+      if (message.progress) {
+        if (task && task.onProgress) task.onProgress(message.progress);
+        return;
+      }
+      busy.delete(worker);
+      idle.push(worker);
+      // A task rejected by close() may still answer
+      if (task && message.error) {
+        task.reject(new Error(message.error));
+      } else if (task) {
+        task.resolve(message.result);
+      }
+      drain();
+    });
+
+    worker.on('error', error => {
+      const task = busy.get(worker);
+      busy.delete(worker);
+      if (task) task.reject(error);
+      // Replace the crashed worker, which can't take more tasks
+      if (!closed) {
+        startWorker();
+        drain();
+      }
+    });
+
+    idle.push(worker);
+  }
+
+  function drain() {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      const task = queue.shift();
+      busy.set(worker, task);
+      worker.postMessage(task.message);
+    }
+  }
+
+  for (let i = 0; i < Math.max(1, size); i++) {
+    startWorker();
+  }
+
+  return {
+    /**
+     * Optimize one file on the next free worker
+     * @param {Object} message - { input, options, musicXml } for the worker
+     * @param {Function} [onProgress] - Called with { stage, percent } as
+     *   the optimizer finishes each stage
+     * @returns {Promise<Object>} - { output, arrangement, draftArrangement,
+     *   report, fingeringSidecar, musicXml }
+     */
+    run(message, onProgress) {
+      return new Promise((resolve, reject) => {
+        queue.push({ message: { ...message, progress: Boolean(onProgress) }, onProgress, resolve, reject });
+        drain();
+      });
+    },
+
+    /**
+     * Stop all workers; unfinished tasks are rejected
+     * @returns {Promise} - Resolves once every worker has exited
+     */
+    close() {
+      closed = true;
+      const error = new Error('Worker pool closed');
+      queue.splice(0).forEach(task => task.reject(error));
+      busy.forEach(task => task.reject(error));
+      const workers = [...idle, ...busy.keys()];
+      idle.length = 0;
+      busy.clear();
+      return Promise.all(workers.map(worker => worker.terminate()));
+    }
+  };
+}
+
+module.exports = {
+  createWorkerPool
+};